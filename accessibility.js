@@ -0,0 +1,394 @@
+(function (global) {
+  'use strict';
+
+  // Travel time map: time and distance from the origin to every PD or zone
+  // centre in one matrix request per batch (Routing.getMatrix, ORS matrix or
+  // the offline centreline graph), drawn as a choropleth over the PD/zone
+  // polygons with a legend, hover values and a sortable table.
+
+  const RAMP = ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027'];
+  const NO_DATA = '#bbbbbb';
+  const CHUNK = 500;          // destinations per batch, less when the provider's matrix limit is lower
+  const PANE = 'accessPane';  // above the PD/zone polygons so hover reaches the choropleth
+
+  const METRICS = {
+    duration: { label: 'Travel time', unit: 'min', scale: 1 / 60, digits: 1 },
+    distance: { label: 'Distance', unit: 'km', scale: 1 / 1000, digits: 1 }
+  };
+
+  const S = {
+    map: null,
+    layer: null,
+    legend: null,
+    job: null,
+    level: 'pd',        // 'pd' or 'zone'
+    metric: 'duration',
+    rows: [],           // { key, name, pdKey, feature, lon, lat, duration, distance }
+    reverse: false,
+    sort: { col: 'value', dir: 1 }
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function status(msg) {
+    const el = byId('rt-acc-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  // Value in display units (min / km), null when unreachable
+  function shown(row, metric) {
+    const v = row[metric];
+    return isFiniteNum(v) ? v * METRICS[metric].scale : null;
+  }
+
+  function fmt(v, metric) {
+    return v == null ? '—' : v.toFixed(METRICS[metric].digits);
+  }
+
+  // 1, 2, 2.5 or 5 × 10^k, at least raw
+  function niceStep(raw) {
+    if (!(raw > 0)) return 1;
+    const p = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 2.5, 5, 10].map(m => m * p).find(s => s >= raw);
+  }
+
+  // Upper bounds of up to RAMP.length equal classes
+  function breaksFor(max) {
+    const step = niceStep(max / RAMP.length);
+    const out = [];
+    while (out.length < RAMP.length) {
+      const b = +(step * (out.length + 1)).toPrecision(12);
+      out.push(b);
+      if (b >= max) break;
+    }
+    return out;
+  }
+
+  function colourFor(v, breaks) {
+    if (v == null) return NO_DATA;
+    const i = breaks.findIndex(b => v <= b);
+    return RAMP[i === -1 ? breaks.length - 1 : i];
+  }
+
+  // ===== Targets (PD_REGISTRY / zonesByKey from script.js) =====
+  // Same destination points as the trips when destinations.js is loaded;
+  // null when there is no usable point (no polygon geometry)
+  function pointOf(kind, key, feature, fallback) {
+    const pt = global.DestinationPoints
+      ? global.DestinationPoints.point(kind, key, feature)
+      : fallback && [fallback.lng, fallback.lat];
+    return Array.isArray(pt) && Number.isFinite(pt[0]) && Number.isFinite(pt[1]) ? pt : null;
+  }
+
+  function collectTargets(level) {
+    if (level === 'zone') {
+      if (typeof global.getZonesByPD !== 'function') return [];
+      const out = [];
+      global.getZonesByPD().forEach((zones, pdKey) => {
+        zones.forEach(z => {
+          const pt = pointOf('zone', z.id, z.feature, z.center);
+          if (pt) out.push({ key: z.id, name: `Zone ${z.id}`, pdKey, feature: z.feature, lon: pt[0], lat: pt[1] });
+        });
+      });
+      return out.sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    }
+    const registry = global.PD_REGISTRY || {};
+    return Object.keys(registry).map(key => {
+      const reg = registry[key];
+      if (!reg || !reg.layer) return null;
+      const feature = reg.layer.feature || reg.layer.toGeoJSON();
+      const pt = pointOf('pd', key, feature, reg.layer.getBounds().getCenter());
+      return pt && { key, name: reg.name || key, pdKey: key, feature, lon: pt[0], lat: pt[1] };
+    }).filter(Boolean);
+  }
+
+  // ===== Matrix run =====
+  function setRunning(running) {
+    const btn = byId('rt-acc-run');
+    if (btn) btn.textContent = running ? 'Cancel' : 'Compute';
+    ['rt-acc-level', 'rt-acc-clear'].forEach(id => {
+      const el = byId(id);
+      if (el) el.disabled = running;
+    });
+  }
+
+  async function compute() {
+    if (S.job) {
+      S.job.cancel();
+      return;
+    }
+    if (!global.ROUTING_ORIGIN) {
+      alert('Please pick an origin using the address search bar first.');
+      return;
+    }
+    const level = byId('rt-acc-level')?.value === 'zone' ? 'zone' : 'pd';
+    if (global.DestinationPoints) await global.DestinationPoints.prepare();
+    const targets = collectTargets(level);
+    if (!targets.length) {
+      status(level === 'zone' ? 'Zones are not loaded yet.' : 'Planning Districts are not loaded yet.');
+      return;
+    }
+
+    const chunks = [];
+    const size = Math.min(CHUNK, global.Routing.matrixLimit());
+    for (let i = 0; i < targets.length; i += size) chunks.push(targets.slice(i, i + size));
+    const reverse = !!byId('rt-reverse')?.checked;
+
+    setRunning(true);
+    status(`Computing ${targets.length} ${level === 'zone' ? 'zones' : 'PDs'}…`);
+    const job = global.RequestScheduler.run(chunks,
+      (chunk, { signal }) => global.Routing.getMatrix(chunk.map(t => [t.lon, t.lat]), { reverse, signal }),
+      {
+        concurrency: 1,
+        onProgress: (p) => {
+          if (chunks.length > 1 && !p.cancelled) status(`Computing… batch ${p.done + p.failed + 1} of ${p.total}`);
+        }
+      });
+    S.job = job;
+
+    try {
+      const { results, cancelled } = await job.done;
+      const failed = results.filter(r => r && !r.ok);
+      if (cancelled || (failed.length === chunks.length)) {
+        status(cancelled ? 'Cancelled.' : `Matrix request failed: ${failed[0].error.message || failed[0].error}`);
+        return;
+      }
+      S.rows = [];
+      chunks.forEach((chunk, i) => {
+        const r = results[i];
+        chunk.forEach((t, j) => S.rows.push({
+          ...t,
+          duration: r && r.ok ? r.value[j].duration : null,
+          distance: r && r.ok ? r.value[j].distance : null
+        }));
+      });
+      S.level = level;
+      S.reverse = reverse;
+      render();
+      renderTable();
+      summarise(failed.length);
+    } catch (e) {
+      console.error(e);
+      status(`Matrix request failed: ${e.message || e}`);
+    } finally {
+      S.job = null;
+      setRunning(false);
+    }
+  }
+
+  function summarise(failedBatches) {
+    const vals = S.rows.map(r => shown(r, 'duration')).filter(v => v != null).sort((a, b) => a - b);
+    const missing = S.rows.length - vals.length;
+    const parts = [`${S.rows.length} ${S.level === 'zone' ? 'zones' : 'PDs'} ${S.reverse ? 'to' : 'from'} origin`];
+    if (vals.length) parts.push(`median ${vals[Math.floor((vals.length - 1) / 2)].toFixed(1)} min`);
+    if (missing) parts.push(`${missing} unreachable`);
+    if (failedBatches) parts.push(`${failedBatches} batch(es) failed`);
+    status(parts.join(' · '));
+  }
+
+  // ===== Choropleth =====
+  function clearLayer() {
+    if (S.layer) {
+      try { S.map.removeLayer(S.layer); } catch {}
+      S.layer = null;
+    }
+    if (S.legend) {
+      try { S.map.removeControl(S.legend); } catch {}
+      S.legend = null;
+    }
+  }
+
+  function clearAll() {
+    clearLayer();
+    S.rows = [];
+    renderTable();
+    status('');
+  }
+
+  function tooltipHtml(row) {
+    const t = shown(row, 'duration');
+    const d = shown(row, 'distance');
+    const body = t == null && d == null
+      ? 'No route'
+      : `${fmt(t, 'duration')} min · ${fmt(d, 'distance')} km`;
+    return `<strong>${escapeHtml(row.name)}</strong><br>${body}`;
+  }
+
+  function addLegend(breaks, metric) {
+    const m = METRICS[metric];
+    const Legend = L.Control.extend({
+      options: { position: 'bottomright' },
+      onAdd: function () {
+        const div = L.DomUtil.create('div', 'access-legend');
+        const rows = breaks.map((hi, i) => {
+          const lo = i ? breaks[i - 1] : 0;
+          return `<div class="access-legend-row"><span style="background:${RAMP[i]}"></span>${lo}–${hi} ${m.unit}</div>`;
+        }).join('');
+        const none = S.rows.some(r => shown(r, metric) == null)
+          ? `<div class="access-legend-row"><span style="background:${NO_DATA}"></span>No route</div>`
+          : '';
+        div.innerHTML = `<strong>${m.label} ${S.reverse ? 'to' : 'from'} origin</strong>${rows}${none}`;
+        return div;
+      }
+    });
+    S.legend = new Legend();
+    S.map.addControl(S.legend);
+  }
+
+  function render() {
+    clearLayer();
+    if (!S.map || !S.rows.length) return;
+    if (!S.map.getPane(PANE)) S.map.createPane(PANE).style.zIndex = 450;
+
+    const metric = S.metric;
+    const max = S.rows.reduce((a, r) => Math.max(a, shown(r, metric) ?? 0), 0);
+    const breaks = breaksFor(max);
+    const weight = S.level === 'zone' ? 0.5 : 1;
+
+    S.layer = L.featureGroup();
+    S.rows.forEach(row => {
+      if (!row.feature) return;
+      const style = {
+        color: '#555',
+        weight,
+        fillColor: colourFor(shown(row, metric), breaks),
+        fillOpacity: 0.6
+      };
+      const poly = L.geoJSON(row.feature, { style, pane: PANE });
+      poly.bindTooltip(tooltipHtml(row), { sticky: true });
+      poly.on('mouseover', () => poly.setStyle({ weight: weight + 2 }));
+      poly.on('mouseout', () => poly.setStyle({ weight }));
+      // The PD polygons are underneath now: hand clicks on to PD selection
+      poly.on('click', (e) => {
+        const reg = (global.PD_REGISTRY || {})[row.pdKey];
+        if (reg && reg.layer) reg.layer.fire('click', { latlng: e.latlng, originalEvent: e.originalEvent });
+      });
+      row.layer = poly;
+      poly.addTo(S.layer);
+    });
+    S.layer.addTo(S.map);
+    addLegend(breaks, metric);
+  }
+
+  // ===== Sortable table =====
+  function sortedRows() {
+    const { col, dir } = S.sort;
+    const val = (r) => (col === 'name' ? null : shown(r, col === 'value' ? S.metric : col));
+    return S.rows.slice().sort((a, b) => {
+      if (col === 'name') return dir * a.name.localeCompare(b.name, undefined, { numeric: true });
+      const va = val(a), vb = val(b);
+      if (va == null || vb == null) return (va == null) - (vb == null); // unreachable last
+      return dir * (va - vb);
+    });
+  }
+
+  function renderTable() {
+    const box = byId('rt-acc-table');
+    if (!box) return;
+    const show = !!byId('rt-acc-show-table')?.checked;
+    box.hidden = !show || !S.rows.length;
+    if (box.hidden) return;
+
+    const arrow = (col) => (S.sort.col === col ? (S.sort.dir > 0 ? ' ▲' : ' ▼') : '');
+    const th = (col, label, right) =>
+      `<th data-col="${col}"${right ? ' style="text-align:right"' : ''}>${label}${arrow(col)}</th>`;
+    box.innerHTML = `
+      <table>
+        <thead><tr>${th('name', 'Name')}${th('duration', 'min', true)}${th('distance', 'km', true)}</tr></thead>
+        <tbody>${sortedRows().map(r => `
+          <tr data-key="${escapeHtml(r.key)}">
+            <td>${escapeHtml(r.name)}</td>
+            <td style="text-align:right">${fmt(shown(r, 'duration'), 'duration')}</td>
+            <td style="text-align:right">${fmt(shown(r, 'distance'), 'distance')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function onTableClick(e) {
+    const th = e.target.closest('th[data-col]');
+    if (th) {
+      const col = th.dataset.col;
+      S.sort = { col, dir: S.sort.col === col ? -S.sort.dir : 1 };
+      renderTable();
+      return;
+    }
+    const tr = e.target.closest('tr[data-key]');
+    const row = tr && S.rows.find(r => r.key === tr.dataset.key);
+    if (row && row.layer) {
+      S.map.fitBounds(row.layer.getBounds(), { padding: [30, 30], maxZoom: 14 });
+      row.layer.openTooltip(row.layer.getBounds().getCenter());
+    }
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const on = (id, ev, fn) => { const el = byId(id); if (el) el[ev] = fn; };
+    on('rt-acc-run', 'onclick', compute);
+    on('rt-acc-clear', 'onclick', clearAll);
+    on('rt-acc-metric', 'onchange', () => {
+      S.metric = byId('rt-acc-metric').value === 'distance' ? 'distance' : 'duration';
+      if (S.sort.col === 'value') renderTable();
+      render();
+    });
+    on('rt-acc-show-table', 'onchange', renderTable);
+    on('rt-acc-table', 'onclick', onTableClick);
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Travel time map', `
+      <div class="routing-row" style="margin-top:0;flex-wrap:nowrap;">
+        <select id="rt-acc-level" title="Areas to colour">
+          <option value="pd">Planning Districts</option>
+          <option value="zone">All zones</option>
+        </select>
+        <select id="rt-acc-metric" title="Colour by">
+          <option value="duration">Travel time</option>
+          <option value="distance">Distance</option>
+        </select>
+      </div>
+      <div class="routing-row">
+        <button id="rt-acc-run" type="button">Compute</button>
+        <button id="rt-acc-clear" type="button" class="ghost">Clear</button>
+        <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;cursor:pointer;">
+          <input type="checkbox" id="rt-acc-show-table">
+          Table
+        </label>
+      </div>
+      <div id="rt-acc-table" class="acc-table" hidden></div>
+      <small class="routing-hint" id="rt-acc-status">
+        Time and distance from the origin (or to it, when Reverse is ticked) to every PD or zone centre,
+        using the selected provider's matrix service.
+      </small>
+    `, { id: 'rt-acc-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.Accessibility = {
+    compute,
+    clear: clearAll,
+    rows: () => S.rows.slice()
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
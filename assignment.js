@@ -0,0 +1,282 @@
+(function (global) {
+  'use strict';
+
+  // Link-volume map: every generated route is cut into its coordinate pairs,
+  // overlapping pairs are summed per direction, and runs of links with the
+  // same totals are drawn as one polyline scaled by volume (or route count).
+
+  const RAMP = ['#fee08b', '#fdae61', '#f46d43', '#d73027', '#a50026'];
+  const DIRS = ['NB', 'EB', 'SB', 'WB'];
+  const PREC = 1e5; // ~1 m, same as the centreline graph
+
+  const S = {
+    map: null,
+    layer: null,
+    legend: null,
+    visible: false,
+    metric: 'volume'   // 'volume' or 'routes'
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function nodeKey(p) {
+    return Math.round(p[0] * PREC) + ',' + Math.round(p[1] * PREC);
+  }
+
+  function emptyDirs() {
+    return { NB: { vol: 0, routes: 0 }, EB: { vol: 0, routes: 0 }, SB: { vol: 0, routes: 0 }, WB: { vol: 0, routes: 0 } };
+  }
+
+  function stepsOf(feat) {
+    const segs = (feat.properties && feat.properties.segments) || [];
+    return segs.reduce((a, s) => a.concat(s.steps || []), []);
+  }
+
+  // ===== Aggregation =====
+  // links: Map(undirected key -> { a, b, coords, name, dirs })
+  function aggregate(cache) {
+    const R = global.Report;
+    const links = new Map();
+    let hasVol = false;
+
+    (cache && cache.trips || []).forEach(trip => {
+      (trip.features || []).forEach((feat, idx) => {
+        const coords = (feat.geometry && feat.geometry.coordinates) || [];
+        if (coords.length < 2) return;
+        if (Array.isArray(trip.excluded) && trip.excluded.includes(idx)) return; // dropped in the results panel
+        const vol = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+        if (isFiniteNum(vol)) hasVol = true;
+
+        // street name per coordinate pair from the step covering it
+        const names = new Array(coords.length - 1).fill('');
+        stepsOf(feat).forEach(st => {
+          const wp = st.way_points || [];
+          const nm = R ? R.stepName(st) : (st.name || '');
+          for (let i = Math.max(0, wp[0] || 0); i < Math.min(coords.length - 1, wp[1] ?? 0); i++) names[i] = nm;
+        });
+
+        const seen = new Set();
+        for (let i = 1; i < coords.length; i++) {
+          const ka = nodeKey(coords[i - 1]);
+          const kb = nodeKey(coords[i]);
+          if (ka === kb) continue;
+          const key = ka < kb ? ka + '|' + kb : kb + '|' + ka;
+          if (seen.has(key)) continue; // a route loads a link once
+          seen.add(key);
+
+          let link = links.get(key);
+          if (!link) {
+            const fwd = ka < kb;
+            link = {
+              a: fwd ? ka : kb,
+              b: fwd ? kb : ka,
+              coords: fwd ? [coords[i - 1], coords[i]] : [coords[i], coords[i - 1]],
+              name: '',
+              dirs: emptyDirs()
+            };
+            links.set(key, link);
+          }
+          if (!link.name && names[i - 1]) link.name = names[i - 1];
+          const dir = R ? R.boundFrom(R.bearingDeg(coords[i - 1], coords[i])) : 'NB';
+          link.dirs[dir].routes += 1;
+          if (isFiniteNum(vol)) link.dirs[dir].vol += vol;
+        }
+      });
+    });
+
+    return { links, hasVol };
+  }
+
+  function signature(link) {
+    return link.name + '|' + DIRS.map(d => link.dirs[d].routes + ':' + link.dirs[d].vol.toFixed(2)).join('|');
+  }
+
+  // Join links end to end while the node between them is a simple pass-through
+  // and the totals on both sides match.
+  function chain(links) {
+    const atNode = new Map();
+    links.forEach((link, key) => {
+      [link.a, link.b].forEach(n => {
+        if (!atNode.has(n)) atNode.set(n, []);
+        atNode.get(n).push(key);
+      });
+    });
+
+    const done = new Set();
+    const out = [];
+
+    const extend = (start, fromNode, sig, pts, atFront) => {
+      let node = fromNode;
+      let cur = start;
+      for (;;) {
+        const around = atNode.get(node) || [];
+        if (around.length !== 2) return;
+        const nextKey = around[0] === cur ? around[1] : around[0];
+        if (done.has(nextKey)) return;
+        const next = links.get(nextKey);
+        if (signature(next) !== sig) return;
+        done.add(nextKey);
+        const forward = next.a === node;
+        const seg = forward ? next.coords : next.coords.slice().reverse();
+        if (atFront) pts.unshift(seg[1]); else pts.push(seg[1]);
+        node = forward ? next.b : next.a;
+        cur = nextKey;
+      }
+    };
+
+    links.forEach((link, key) => {
+      if (done.has(key)) return;
+      done.add(key);
+      const sig = signature(link);
+      const pts = link.coords.slice();
+      extend(key, link.b, sig, pts, false);
+      extend(key, link.a, sig, pts, true);
+      out.push({ coords: pts, name: link.name, dirs: link.dirs });
+    });
+    return out;
+  }
+
+  // ===== Drawing =====
+  function valueOf(run, metric) {
+    return DIRS.reduce((a, d) => a + (metric === 'volume' ? run.dirs[d].vol : run.dirs[d].routes), 0);
+  }
+
+  function colourFor(v, max) {
+    if (!(max > 0)) return RAMP[0];
+    const i = Math.min(RAMP.length - 1, Math.floor((v / max) * RAMP.length));
+    return RAMP[i];
+  }
+
+  function popupHtml(run, hasVol) {
+    const cell = (d) => {
+      const x = run.dirs[d];
+      if (!x.routes) return '—';
+      return hasVol ? `${x.vol.toFixed(1)} veh (${x.routes})` : String(x.routes);
+    };
+    const rows = DIRS.map(d => `<tr><td>${d}</td><td style="text-align:right">${cell(d)}</td></tr>`).join('');
+    const total = hasVol
+      ? `${valueOf(run, 'volume').toFixed(1)} veh`
+      : `${valueOf(run, 'routes')} route(s)`;
+    return `
+      <strong>${escapeHtml(run.name || 'Unnamed segment')}</strong>
+      <table style="margin-top:4px;font-size:12px;border-collapse:collapse;">
+        <thead><tr><th style="text-align:left">Dir</th><th style="text-align:right">${hasVol ? 'veh (routes)' : 'routes'}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div style="margin-top:4px;">Total: ${escapeHtml(total)}</div>
+    `;
+  }
+
+  function clearLayer() {
+    if (S.layer) {
+      try { S.map.removeLayer(S.layer); } catch {}
+      S.layer = null;
+    }
+    if (S.legend) {
+      try { S.map.removeControl(S.legend); } catch {}
+      S.legend = null;
+    }
+  }
+
+  function addLegend(max, metric) {
+    const Legend = L.Control.extend({
+      options: { position: 'bottomright' },
+      onAdd: function () {
+        const div = L.DomUtil.create('div', 'volume-legend');
+        const fmt = (v) => v.toFixed(max < 10 ? 1 : 0);
+        const rows = RAMP.map((c, i) => {
+          const lo = max * i / RAMP.length;
+          const hi = max * (i + 1) / RAMP.length;
+          return `<div class="volume-legend-row"><span style="background:${c}"></span>${fmt(lo)}–${fmt(hi)}</div>`;
+        }).join('');
+        div.innerHTML = `<strong>${metric === 'volume' ? 'Assigned veh' : 'Routes'}</strong>${rows}`;
+        return div;
+      }
+    });
+    S.legend = new Legend();
+    S.map.addControl(S.legend);
+  }
+
+  function render() {
+    clearLayer();
+    const cache = global.ROUTING_CACHE;
+    if (!S.visible || !S.map || !cache || !Array.isArray(cache.trips) || !cache.trips.length) return;
+
+    const { links, hasVol } = aggregate(cache);
+    if (!links.size) return;
+    const metric = S.metric === 'volume' && hasVol ? 'volume' : 'routes';
+    const runs = chain(links);
+    const max = runs.reduce((a, r) => Math.max(a, valueOf(r, metric)), 0);
+
+    S.layer = L.layerGroup();
+    runs
+      .sort((a, b) => valueOf(a, metric) - valueOf(b, metric)) // heaviest on top
+      .forEach(run => {
+        const v = valueOf(run, metric);
+        const line = L.polyline(run.coords.map(([lng, lat]) => [lat, lng]), {
+          color: colourFor(v, max),
+          weight: max > 0 ? 2 + 10 * v / max : 2,
+          opacity: 0.9,
+          lineCap: 'butt'
+        });
+        line.bindPopup(popupHtml(run, hasVol));
+        line.addTo(S.layer);
+      });
+    S.layer.addTo(S.map);
+    addLegend(max, metric);
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const cbx = byId('rt-vol-show');
+    const sel = byId('rt-vol-metric');
+    if (cbx) cbx.onchange = () => { S.visible = cbx.checked; render(); };
+    if (sel) sel.onchange = () => { S.metric = sel.value; render(); };
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Link volumes', `
+      <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;cursor:pointer;">
+        <input type="checkbox" id="rt-vol-show">
+        Show link volumes
+      </label>
+      <label for="rt-vol-metric" style="font-size:0.9em;display:block;margin:6px 0 4px;">Scale by</label>
+      <select id="rt-vol-metric">
+        <option value="volume">Assigned volume (veh)</option>
+        <option value="routes">Route count</option>
+      </select>
+      <small class="routing-hint">
+        Overlapping routes are summed per direction. Without a site trip total, route counts are used.
+      </small>
+    `, { id: 'rt-vol-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  document.addEventListener('routing:updated', () => render());
+
+  global.Assignment = {
+    aggregate,
+    render
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
@@ -0,0 +1,847 @@
+(function (global) {
+  'use strict';
+
+  // ===== Config =====
+  const DATA_URL        = 'data/highway_centrelines.json';
+  const NODE_PRECISION  = 5;      // ~1 m: vertices closer than this are one node
+  const GRID_DEG        = 0.02;   // spatial index cell size
+  const GAP_BRIDGE_M    = 75;     // join dangling line ends to nearby nodes
+  const MAX_SNAP_M      = 60000;  // give up snapping beyond this
+  const AVOID_SNAP_M    = 400;    // with avoidances: max extra reach to an open node
+  const MIN_ACCESS_COMP = 20;     // nearest({ access }): skip fragments with fewer nodes
+  const ACCESS_KMH      = 30;     // speed assumed for off-network access legs
+  const ALT_PENALTY     = 1.4;    // weight multiplier on edges used by earlier routes
+  const ALT_MAX_SHARE   = 0.8;    // reject alternatives sharing more than this
+  const MATCH_TOL_M     = 30;     // map matching: max offset from a centreline
+  const MATCH_ANGLE     = 35;     // map matching: max heading difference (deg)
+  const MATCH_STEP_M    = 25;     // map matching: sample spacing along a route
+  const MATCH_GAP_M     = 60;     // map matching: shorter unmatched gaps are bridged
+  const ISO_CELL_DEG    = 0.005;  // isochrone raster cell (~400 × 550 m)
+  const ISO_REACH_M     = 3000;   // isochrones: max off-network reach around a reached node
+  const TOLL_ROAD       = /^HIGHWAY 407\b/;  // 407 ETR, the only toll road in the file
+
+  // Posted-speed guess from the centreline Name (the file has no speed field)
+  function speedKmh(name) {
+    const n = String(name || '').toUpperCase();
+    if (/COLLECTOR/.test(n)) return 80;
+    if (/^HIGHWAY 4\d\d\b|QUEEN ELIZABETH WAY|EXPRESSWAY|PARKWAY/.test(n)) return 100;
+    if (/^HIGHWAY\b/.test(n)) return 80;
+    return 50;
+  }
+
+  function roadClass(name) {
+    const n = String(name || '').toUpperCase();
+    if (/^HIGHWAY 4\d\d\b|QUEEN ELIZABETH WAY|EXPRESSWAY|PARKWAY/.test(n)) return 'freeway';
+    if (/^HIGHWAY\b/.test(n)) return 'highway';
+    return 'local';
+  }
+
+  // ===== Small helpers =====
+  function toRad(d) { return d * Math.PI / 180; }
+
+  function haversineMeters(a, b) {
+    const R = 6371000;
+    const lat1 = toRad(a[1]), lat2 = toRad(b[1]);
+    const dLat = lat2 - lat1;
+    const dLon = toRad(b[0] - a[0]);
+    const s = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
+  }
+
+  function bearingDeg(a, b) {
+    const lat1 = toRad(a[1]), lat2 = toRad(b[1]);
+    const dLon = toRad(b[0] - a[0]);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) -
+              Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  function compass(deg) {
+    const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+    return names[Math.round(deg / 45) % 8];
+  }
+
+  function titleCase(s) {
+    return String(s || '').toLowerCase().replace(/\b([a-z])/g, (m) => m.toUpperCase());
+  }
+
+  // Minimal binary heap keyed on a numeric priority
+  function makeHeap() {
+    const items = [];
+    return {
+      get size() { return items.length; },
+      push(node, pri) {
+        items.push([pri, node]);
+        let i = items.length - 1;
+        while (i > 0) {
+          const p = (i - 1) >> 1;
+          if (items[p][0] <= items[i][0]) break;
+          [items[p], items[i]] = [items[i], items[p]];
+          i = p;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const l = 2 * i + 1, r = l + 1;
+            let m = i;
+            if (l < items.length && items[l][0] < items[m][0]) m = l;
+            if (r < items.length && items[r][0] < items[m][0]) m = r;
+            if (m === i) break;
+            [items[m], items[i]] = [items[i], items[m]];
+            i = m;
+          }
+        }
+        return top;
+      }
+    };
+  }
+
+  // ===== Graph build =====
+  // nodes[i] = [lon, lat]; adj[i] = [{ to, m, s, f }] (metres, seconds, feature index)
+  function buildGraph(geo) {
+    const features = (geo && Array.isArray(geo.features)) ? geo.features : [];
+    const nodes = [];
+    const adj = [];
+    const index = new Map();     // rounded "lon,lat" -> node id
+    const grid = new Map();      // "gx,gy" -> [node ids]
+    const meta = [];             // per feature: { name, ogfId, cls, kmh }
+
+    function nodeId(c) {
+      const k = c[0].toFixed(NODE_PRECISION) + ',' + c[1].toFixed(NODE_PRECISION);
+      let id = index.get(k);
+      if (id == null) {
+        id = nodes.length;
+        nodes.push([c[0], c[1]]);
+        adj.push([]);
+        index.set(k, id);
+        const g = Math.floor(c[0] / GRID_DEG) + ',' + Math.floor(c[1] / GRID_DEG);
+        if (!grid.has(g)) grid.set(g, []);
+        grid.get(g).push(id);
+      }
+      return id;
+    }
+
+    function link(a, b, m, s, f) {
+      if (a === b) return;
+      adj[a].push({ to: b, m, s, f });
+      adj[b].push({ to: a, m, s, f });
+    }
+
+    // Pass 1: collect every vertex pair as a segment
+    const segs = [];             // { f, a, b, scale, cuts: [[t, lonlat]] }
+    features.forEach((feat, fi) => {
+      const p = feat.properties || {};
+      const name = String(p.Name || '').trim();
+      meta.push({ name, ogfId: p.OGF_ID ?? null, cls: roadClass(name), kmh: speedKmh(name) });
+
+      const g = feat.geometry || {};
+      const parts = g.type === 'MultiLineString' ? g.coordinates
+                  : g.type === 'LineString' ? [g.coordinates] : [];
+
+      // Scale geometric length to the official LENGTH attribute where present
+      let geomM = 0;
+      parts.forEach(line => {
+        for (let i = 1; i < line.length; i++) geomM += haversineMeters(line[i - 1], line[i]);
+      });
+      const official = Number(p.LENGTH);
+      const scale = (Number.isFinite(official) && official > 0 && geomM > 0) ? official / geomM : 1;
+
+      parts.forEach(line => {
+        if (!Array.isArray(line) || line.length < 2) return;
+        for (let i = 1; i < line.length; i++) {
+          segs.push({ f: fi, a: line[i - 1], b: line[i], scale, cuts: [] });
+        }
+      });
+    });
+
+    // Pass 2: where two different roads cross mid-segment, cut both so they
+    // share a node (the file carries no ramps, so crossings are interchanges)
+    const segGrid = new Map();
+    segs.forEach((sg, si) => {
+      const x0 = Math.floor(Math.min(sg.a[0], sg.b[0]) / GRID_DEG);
+      const x1 = Math.floor(Math.max(sg.a[0], sg.b[0]) / GRID_DEG);
+      const y0 = Math.floor(Math.min(sg.a[1], sg.b[1]) / GRID_DEG);
+      const y1 = Math.floor(Math.max(sg.a[1], sg.b[1]) / GRID_DEG);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          const k = x + ',' + y;
+          if (!segGrid.has(k)) segGrid.set(k, []);
+          segGrid.get(k).push(si);
+        }
+      }
+    });
+    const seen = new Set();
+    segGrid.forEach(ids => {
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          const s1 = segs[ids[i]], s2 = segs[ids[j]];
+          if (meta[s1.f].name === meta[s2.f].name) continue;
+          const pair = ids[i] + ':' + ids[j];
+          if (seen.has(pair)) continue;
+          seen.add(pair);
+          const hit = intersect(s1.a, s1.b, s2.a, s2.b);
+          if (!hit) continue;
+          s1.cuts.push([hit.t, hit.p]);
+          s2.cuts.push([hit.u, hit.p]);
+        }
+      }
+    });
+
+    // Pass 3: link nodes, walking each segment through its cut points
+    segs.forEach(sg => {
+      const pts = [sg.a, ...sg.cuts.sort((x, y) => x[0] - y[0]).map(c => c[1]), sg.b];
+      const kmh = meta[sg.f].kmh;
+      let prev = nodeId(pts[0]);
+      for (let i = 1; i < pts.length; i++) {
+        const cur = nodeId(pts[i]);
+        const m = haversineMeters(pts[i - 1], pts[i]) * sg.scale;
+        link(prev, cur, m, m / (kmh / 3.6), sg.f);
+        prev = cur;
+      }
+    });
+
+    const graph = { nodes, adj, grid, meta, segs, segGrid, comp: null, compSize: null };
+
+    // Bridge small digitising gaps at dangling ends
+    for (let i = 0; i < nodes.length; i++) {
+      if (adj[i].length !== 1) continue;
+      const own = adj[i][0].f;
+      const near = nearestNodes(graph, nodes[i], GAP_BRIDGE_M, (j) => j !== i && !adj[j].some(e => e.f === own));
+      if (near.length) {
+        const j = near[0].id;
+        const m = near[0].m;
+        const f = own;
+        if (!adj[i].some(e => e.to === j)) link(i, j, m, m / (meta[f].kmh / 3.6), f);
+      }
+    }
+
+    // Connected components so snapping never picks an unreachable pair
+    const comp = new Int32Array(nodes.length).fill(-1);
+    let c = 0;
+    for (let i = 0; i < nodes.length; i++) {
+      if (comp[i] !== -1) continue;
+      const stack = [i];
+      comp[i] = c;
+      while (stack.length) {
+        const u = stack.pop();
+        for (const e of adj[u]) {
+          if (comp[e.to] === -1) {
+            comp[e.to] = c;
+            stack.push(e.to);
+          }
+        }
+      }
+      c++;
+    }
+    graph.comp = comp;
+    graph.compSize = new Int32Array(c);
+    comp.forEach(k => { graph.compSize[k]++; });
+    return graph;
+  }
+
+  // Proper crossing of segments ab and cd (planar, fine at this scale)
+  function intersect(a, b, c, d) {
+    const rx = b[0] - a[0], ry = b[1] - a[1];
+    const sx = d[0] - c[0], sy = d[1] - c[1];
+    const den = rx * sy - ry * sx;
+    if (!den) return null;
+    const qx = c[0] - a[0], qy = c[1] - a[1];
+    const t = (qx * sy - qy * sx) / den;
+    const u = (qx * ry - qy * rx) / den;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+    return { t, u, p: [a[0] + t * rx, a[1] + t * ry] };
+  }
+
+  // Nodes within maxM of lonlat (optionally filtered), nearest first
+  function nearestNodes(graph, lonlat, maxM, accept) {
+    const gx = Math.floor(lonlat[0] / GRID_DEG);
+    const gy = Math.floor(lonlat[1] / GRID_DEG);
+    const cellM = GRID_DEG * 111320 * Math.cos(toRad(lonlat[1]));
+    const maxRing = Math.max(1, Math.ceil(maxM / cellM) + 1);
+    const out = [];
+
+    for (let r = 0; r <= maxRing; r++) {
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+          const ids = graph.grid.get((gx + dx) + ',' + (gy + dy));
+          if (!ids) continue;
+          for (const id of ids) {
+            if (accept && !accept(id)) continue;
+            const m = haversineMeters(lonlat, graph.nodes[id]);
+            if (m <= maxM) out.push({ id, m });
+          }
+        }
+      }
+      // Anything beyond this ring is at least r cells away
+      if (out.length && r * cellM > Math.min(...out.map(o => o.m))) break;
+    }
+    return out.sort((a, b) => a.m - b.m);
+  }
+
+  // ===== Avoidances =====
+  // 'highways' closes the freeway class, 'tollways' the 407 ETR. The file has
+  // no local streets, so where the closed road is the only one near a point
+  // the trip fails with NO_ROUTE (see snapNode) rather than walk to the next.
+  // -> blocked(edge) or null when nothing is avoided
+  function blockedBy(graph, avoid) {
+    const set = new Set(avoid || []);
+    if (!set.has('highways') && !set.has('tollways')) return null;
+    return (e) => {
+      const m = graph.meta[e.f];
+      return (set.has('highways') && m.cls === 'freeway') || (set.has('tollways') && TOLL_ROAD.test(m.name));
+    };
+  }
+
+  // Snapping filter: only nodes with at least one open edge
+  function openNodes(graph, blocked) {
+    return blocked ? (id) => graph.adj[id].some(e => !blocked(e)) : undefined;
+  }
+
+  // Closest node to p (within: optional node filter). With avoidances the open
+  // node may lie at most AVOID_SNAP_M beyond the closest node of any kind, so a
+  // closed road is never replaced by a long straight access leg.
+  function snapNode(graph, p, usable, within) {
+    const any = nearestNodes(graph, p, MAX_SNAP_M, within)[0];
+    if (!any || !usable) return any || null;
+    return nearestNodes(graph, p, any.m + AVOID_SNAP_M, (id) => (!within || within(id)) && usable(id))[0] || null;
+  }
+
+  // Snap origin + destination into one component, minimising total access distance
+  function snapPair(graph, o, d, usable) {
+    const no = snapNode(graph, o, usable);
+    const nd = snapNode(graph, d, usable);
+    if (!no || !nd) return null;
+
+    const comps = Array.from(new Set([graph.comp[no.id], graph.comp[nd.id]]));
+    let best = null;
+    for (const c of comps) {
+      const inComp = (id) => graph.comp[id] === c;
+      const a = graph.comp[no.id] === c ? no : snapNode(graph, o, usable, inComp);
+      const b = graph.comp[nd.id] === c ? nd : snapNode(graph, d, usable, inComp);
+      if (!a || !b) continue;
+      if (!best || a.m + b.m < best.a.m + best.b.m) best = { a, b };
+    }
+    return best;
+  }
+
+  // ===== Shortest path =====
+  // weight(edge, fromNode) -> cost (Infinity = closed). With dst == null the
+  // whole tree is expanded; returns { dist, via } either way.
+  function dijkstra(graph, src, dst, weight) {
+    const dist = new Float64Array(graph.nodes.length).fill(Infinity);
+    const via = new Array(graph.nodes.length);
+    const heap = makeHeap();
+    dist[src] = 0;
+    heap.push(src, 0);
+
+    while (heap.size) {
+      const [du, u] = heap.pop();
+      if (du > dist[u]) continue;
+      if (u === dst) break;
+      for (const e of graph.adj[u]) {
+        const w = weight(e, u);
+        if (!Number.isFinite(w)) continue;
+        const nd = du + w;
+        if (nd < dist[e.to]) {
+          dist[e.to] = nd;
+          via[e.to] = { from: u, edge: e };
+          heap.push(e.to, nd);
+        }
+      }
+    }
+    return { dist, via };
+  }
+
+  // Edges walked from src to dst (each with .from), or null when unreachable
+  function pathTo(tree, src, dst) {
+    if (src !== dst && !tree.via[dst]) return null;
+    const path = [];
+    for (let v = dst; v !== src; v = tree.via[v].from) {
+      path.push({ from: tree.via[v].from, ...tree.via[v].edge });
+    }
+    return path.reverse();
+  }
+
+  function edgeKey(e) {
+    return e.from < e.to ? e.from + '-' + e.to : e.to + '-' + e.from;
+  }
+
+  // ~200 m cell holding an edge midpoint
+  function corridorCell(a, b) {
+    const CELL = 0.002;
+    return Math.round((a[0] + b[0]) / 2 / CELL) + ',' + Math.round((a[1] + b[1]) / 2 / CELL);
+  }
+
+  // ===== ORS-shaped output =====
+  function accessStep(from, to, label) {
+    const m = haversineMeters(from, to);
+    return {
+      m,
+      s: m / (ACCESS_KMH / 3.6),
+      name: '',
+      instruction: label
+    };
+  }
+
+  // Build a GeoJSON Feature that looks like an ORS directions/geojson route
+  function toFeature(graph, o, d, snap, path) {
+    const coords = [o.slice(0, 2)];
+    const steps = [];
+    const push = (step, pts) => {
+      const start = coords.length - 1;
+      pts.forEach(p => coords.push(p));
+      steps.push({
+        distance: step.m,
+        duration: step.s,
+        type: step.type ?? 6,
+        instruction: step.instruction,
+        name: step.name,
+        way_points: [start, coords.length - 1],
+        ...(step.ogf_ids ? { ogf_ids: step.ogf_ids } : {})
+      });
+    };
+
+    const startNode = graph.nodes[snap.a.id];
+    const endNode = graph.nodes[snap.b.id];
+
+    if (snap.a.m > 1) {
+      const s = accessStep(o, startNode, 'Local access to the highway network');
+      push({ ...s, type: 11 }, [startNode]);
+    } else {
+      coords[0] = startNode;
+    }
+
+    // Group consecutive edges by street name
+    let cur = null;
+    const flush = () => {
+      if (!cur) return;
+      const first = !steps.length;
+      const heading = compass(bearingDeg(graph.nodes[cur.edges[0].from], graph.nodes[cur.edges[0].to]));
+      const label = titleCase(cur.name) || 'unnamed road';
+      push({
+        m: cur.m,
+        s: cur.s,
+        name: cur.name,
+        type: first ? 11 : 6,
+        ogf_ids: Array.from(cur.ogf),
+        instruction: first ? `Head ${heading} on ${label}` : `Continue onto ${label}`
+      }, cur.edges.map(e => graph.nodes[e.to]));
+      cur = null;
+    };
+    for (const e of path) {
+      const fm = graph.meta[e.f];
+      if (!cur || cur.name !== fm.name) {
+        flush();
+        cur = { name: fm.name, m: 0, s: 0, edges: [], ogf: new Set() };
+      }
+      cur.m += e.m;
+      cur.s += e.s;
+      cur.edges.push(e);
+      if (fm.ogfId != null) cur.ogf.add(fm.ogfId);
+    }
+    flush();
+
+    if (snap.b.m > 1) {
+      const s = accessStep(endNode, d, 'Local access to destination');
+      push(s, [d.slice(0, 2)]);
+    } else if (coords.length > 1) {
+      coords[coords.length - 1] = endNode;
+    }
+
+    const last = coords.length - 1;
+    steps.push({
+      distance: 0,
+      duration: 0,
+      type: 10,
+      instruction: 'Arrive at destination',
+      name: '-',
+      way_points: [last, last]
+    });
+
+    const distance = steps.reduce((a, s) => a + s.distance, 0);
+    const duration = steps.reduce((a, s) => a + s.duration, 0);
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: coords },
+      properties: {
+        segments: [{ distance, duration, steps }],
+        summary: { distance, duration },
+        way_points: [0, last],
+        provider: 'local'
+      }
+    };
+  }
+
+  // ===== Map matching =====
+  // Metres from p to segment ab, using a local flat projection around p
+  function offsetMeters(p, a, b) {
+    const kx = 111320 * Math.cos(toRad(p[1]));
+    const ky = 110540;
+    const ax = (a[0] - p[0]) * kx, ay = (a[1] - p[1]) * ky;
+    const bx = (b[0] - p[0]) * kx, by = (b[1] - p[1]) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+  }
+
+  function headingGap(h1, h2) {
+    const d = Math.abs(h1 - h2) % 180;   // centrelines are undirected
+    return Math.min(d, 180 - d);
+  }
+
+  // Feature index of the closest parallel centreline near p, or -1.
+  // The previous match wins ties so twinned carriageways don't flip-flop.
+  function matchPoint(g, p, heading, prefer) {
+    const gx = Math.floor(p[0] / GRID_DEG);
+    const gy = Math.floor(p[1] / GRID_DEG);
+    let best = -1;
+    let bestM = MATCH_TOL_M;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const ids = g.segGrid.get((gx + dx) + ',' + (gy + dy));
+        if (!ids) continue;
+        for (const si of ids) {
+          const sg = g.segs[si];
+          const m = offsetMeters(p, sg.a, sg.b) * (sg.f === prefer ? 0.5 : 1);
+          if (m > bestM) continue;
+          if (headingGap(heading, bearingDeg(sg.a, sg.b)) > MATCH_ANGLE) continue;
+          best = sg.f;
+          bestM = m;
+        }
+      }
+    }
+    return best;
+  }
+
+  // Match a route geometry ([lon, lat] list) against the centreline inventory.
+  // Returns runs along the route: [{ i0, i1, m, f, name, ogfId }] where i0/i1
+  // index into coords and f === -1 marks stretches off the inventory.
+  function matchCoords(g, coords) {
+    const pieces = [];
+    let prev = -1;
+    for (let i = 1; i < coords.length; i++) {
+      const a = coords[i - 1], b = coords[i];
+      const m = haversineMeters(a, b);
+      if (!m) continue;
+      const heading = bearingDeg(a, b);
+      const n = Math.max(1, Math.ceil(m / MATCH_STEP_M));
+      for (let k = 0; k < n; k++) {
+        const t = (k + 0.5) / n;
+        const p = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        prev = matchPoint(g, p, heading, prev);
+        pieces.push({ i, m: m / n, f: prev });
+      }
+    }
+
+    let runs = [];
+    for (const pc of pieces) {
+      const last = runs[runs.length - 1];
+      if (last && last.f === pc.f) {
+        last.m += pc.m;
+        last.i1 = pc.i;
+      } else {
+        runs.push({ i0: pc.i - 1, i1: pc.i, m: pc.m, f: pc.f });
+      }
+    }
+
+    // Bridge short gaps (overpasses, digitising offsets) between the same road
+    const merged = [];
+    for (let k = 0; k < runs.length; k++) {
+      const r = runs[k];
+      const prev = merged[merged.length - 1];
+      const next = runs[k + 1];
+      if (r.f === -1 && r.m < MATCH_GAP_M && prev && next && prev.f === next.f) {
+        prev.m += r.m + next.m;
+        prev.i1 = next.i1;
+        k++;
+        continue;
+      }
+      if (prev && prev.f === r.f) {
+        prev.m += r.m;
+        prev.i1 = r.i1;
+        continue;
+      }
+      merged.push({ ...r });
+    }
+    runs = merged;
+
+    return runs.map(r => ({
+      ...r,
+      name: r.f >= 0 ? g.meta[r.f].name : '',
+      ogfId: r.f >= 0 ? g.meta[r.f].ogfId : null
+    }));
+  }
+
+  // ===== Loading =====
+  let loading = null;
+  let graph = null;
+
+  function load() {
+    if (graph) return Promise.resolve(graph);
+    if (loading) return loading;
+    loading = fetch(DATA_URL)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} for ${r.url || DATA_URL}`);
+        return r.json();
+      })
+      .then(geo => {
+        graph = buildGraph(geo);
+        global.CENTRELINES_GEOJSON = geo;
+        return graph;
+      })
+      .catch(err => {
+        loading = null;
+        throw err;
+      });
+    return loading;
+  }
+
+  // Same contract as ORS directions: 1–3 routes as a GeoJSON FeatureCollection.
+  // Distances are metres, durations seconds (what report.js expects).
+  async function route(originLonLat, destLonLat, { count = 1, preference = 'fastest', avoid, via } = {}) {
+    if (Array.isArray(via) && via.length) {
+      return routeVia([originLonLat, ...via, destLonLat], { preference, avoid });
+    }
+    const g = await load();
+    const o = [Number(originLonLat[0]), Number(originLonLat[1])];
+    const d = [Number(destLonLat[0]), Number(destLonLat[1])];
+
+    const blocked = blockedBy(g, avoid);
+    const snap = snapPair(g, o, d, openNodes(g, blocked));
+    if (!snap) {
+      const err = new Error(blocked
+        ? 'No open centreline near origin/destination with these avoidances'
+        : 'No centreline within reach of origin/destination');
+      err.code = 'NO_ROUTE';
+      throw err;
+    }
+
+    const cost = preference === 'shortest' ? (e) => e.m : (e) => e.s;
+    const base = blocked ? (e) => (blocked(e) ? Infinity : cost(e)) : cost;
+    const penalty = new Map();
+    const used = [];
+    const features = [];
+    const want = Math.min(Math.max(1, count | 0), 3);
+
+    for (let attempt = 0; attempt < want * 3 && features.length < want; attempt++) {
+      const weight = (e, u) => base(e) * (penalty.get(edgeKey({ from: u, to: e.to })) || 1);
+      const path = pathTo(dijkstra(g, snap.a.id, snap.b.id, weight), snap.a.id, snap.b.id);
+      if (!path) break;
+
+      // Compare corridors, not edge ids: twinned carriageways are separate edges
+      const cells = path.map(e => corridorCell(g.nodes[e.from], g.nodes[e.to]));
+      const total = path.reduce((a, e) => a + e.m, 0) || 1;
+      const distinct = used.every(set => {
+        const shared = path.reduce((a, e, i) => a + (set.has(cells[i]) ? e.m : 0), 0);
+        return shared / total <= ALT_MAX_SHARE;
+      });
+
+      if (distinct) {
+        used.push(new Set(cells));
+        features.push(toFeature(g, o, d, snap, path));
+      }
+      // Both ends on one node: the access legs are the whole route, no alternatives
+      if (!path.length) break;
+      path.forEach(e => {
+        const k = edgeKey(e);
+        penalty.set(k, (penalty.get(k) || 1) * ALT_PENALTY);
+      });
+    }
+
+    if (!features.length) {
+      const err = new Error('No route found on the centreline network');
+      err.code = 'NO_ROUTE';
+      throw err;
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features,
+      metadata: { service: 'local-centrelines', query: { coordinates: [o, d], preference, avoid: avoid || [] } }
+    };
+  }
+
+  // Through via points: the best route of every leg joined into one feature
+  // with a segment per leg (the ORS shape for multi-waypoint requests)
+  async function routeVia(points, { preference, avoid }) {
+    const coords = [];
+    const segments = [];
+    const wayPoints = [0];
+    for (let i = 1; i < points.length; i++) {
+      const leg = (await route(points[i - 1], points[i], { count: 1, preference, avoid })).features[0];
+      const offset = coords.length ? coords.length - 1 : 0;
+      leg.geometry.coordinates.forEach((p, j) => {
+        if (j === 0 && coords.length) return;
+        coords.push(p);
+      });
+      const seg = leg.properties.segments[0];
+      const steps = seg.steps.map(st => ({ ...st, way_points: st.way_points.map(w => w + offset) }));
+      if (i < points.length - 1) steps[steps.length - 1].instruction = `Pass via point ${i}`;
+      segments.push({ ...seg, steps });
+      wayPoints.push(coords.length - 1);
+    }
+    const distance = segments.reduce((a, sg) => a + sg.distance, 0);
+    const duration = segments.reduce((a, sg) => a + sg.duration, 0);
+    return {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: coords },
+        properties: { segments, summary: { distance, duration }, way_points: wayPoints, provider: 'local' }
+      }],
+      metadata: { service: 'local-centrelines', query: { coordinates: points, preference, avoid: avoid || [] } }
+    };
+  }
+
+  // ===== Travel time matrix =====
+  // One shortest-path tree per source; the graph is two-way, so with fewer
+  // destinations than sources the trees grow from the destinations instead.
+  // Same shape as the ORS matrix: one row per source, null when unreachable.
+  function matrixFrom(g, sources, destinations, preference, avoid) {
+    const flip = destinations.length < sources.length;
+    const hubs = flip ? destinations : sources;
+    const others = flip ? sources : destinations;
+    const blocked = blockedBy(g, avoid);
+    const usable = openNodes(g, blocked);
+    const base = preference === 'shortest' ? (e) => e.m : (e) => e.s;
+    const cost = blocked ? (e) => (blocked(e) ? Infinity : base(e)) : base;
+
+    const cells = hubs.map(h => {
+      const a = snapNode(g, h, usable);
+      if (!a) return others.map(() => null);
+      const comp = g.comp[a.id];
+      const tree = dijkstra(g, a.id, null, cost);
+      const legA = accessStep(h, g.nodes[a.id], '');
+      return others.map(p => {
+        const b = snapNode(g, p, usable, (id) => g.comp[id] === comp);
+        const path = b && pathTo(tree, a.id, b.id);
+        if (!path) return null;
+        const legB = accessStep(g.nodes[b.id], p, '');
+        return {
+          s: path.reduce((acc, e) => acc + e.s, legA.s + legB.s),
+          m: path.reduce((acc, e) => acc + e.m, legA.m + legB.m)
+        };
+      });
+    });
+
+    const at = (i, j) => (flip ? cells[j][i] : cells[i][j]);
+    const grid = (k) => sources.map((_, i) => destinations.map((_, j) => {
+      const c = at(i, j);
+      return c ? c[k] : null;
+    }));
+    return { durations: grid('s'), distances: grid('m') };
+  }
+
+  async function matrix(sources, destinations, { preference = 'fastest', avoid } = {}) {
+    const g = await load();
+    const pts = (list) => (list || []).map(c => [Number(c[0]), Number(c[1])]);
+    return matrixFrom(g, pts(sources), pts(destinations), preference, avoid);
+  }
+
+  // ===== Isochrones =====
+  // The shortest-path tree from the origin is rasterised: a cell is inside a
+  // band when a node reached within the band lies within the distance still
+  // coverable at ACCESS_KMH (capped at ISO_REACH_M). Bands come back as
+  // MultiPolygons of merged cell rows, in the ORS isochrones shape.
+  function rasterise(reached, range) {
+    const ms = ACCESS_KMH / 3.6;
+    const cells = new Set();
+    for (const [lon, lat, s] of reached) {
+      if (s > range) continue;
+      const r = Math.min(ISO_REACH_M, (range - s) * ms);
+      const dLat = r / 111320;
+      const dLon = r / (111320 * Math.cos(toRad(lat)));
+      cells.add(Math.floor(lon / ISO_CELL_DEG) + ',' + Math.floor(lat / ISO_CELL_DEG));
+      for (let ix = Math.floor((lon - dLon) / ISO_CELL_DEG); ix <= Math.floor((lon + dLon) / ISO_CELL_DEG); ix++) {
+        for (let iy = Math.floor((lat - dLat) / ISO_CELL_DEG); iy <= Math.floor((lat + dLat) / ISO_CELL_DEG); iy++) {
+          const c = [(ix + 0.5) * ISO_CELL_DEG, (iy + 0.5) * ISO_CELL_DEG];
+          if (haversineMeters(c, [lon, lat]) <= r) cells.add(ix + ',' + iy);
+        }
+      }
+    }
+    return cells;
+  }
+
+  function cellsToGeometry(cells) {
+    const rows = new Map();
+    cells.forEach(k => {
+      const [ix, iy] = k.split(',').map(Number);
+      if (!rows.has(iy)) rows.set(iy, []);
+      rows.get(iy).push(ix);
+    });
+    const polys = [];
+    rows.forEach((xs, iy) => {
+      xs.sort((a, b) => a - b);
+      for (let i = 0; i < xs.length;) {
+        let j = i;
+        while (j + 1 < xs.length && xs[j + 1] === xs[j] + 1) j++;
+        const x0 = xs[i] * ISO_CELL_DEG, x1 = (xs[j] + 1) * ISO_CELL_DEG;
+        const y0 = iy * ISO_CELL_DEG, y1 = (iy + 1) * ISO_CELL_DEG;
+        polys.push([[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]);
+        i = j + 1;
+      }
+    });
+    return { type: 'MultiPolygon', coordinates: polys };
+  }
+
+  async function isochrones(originLonLat, ranges, { avoid } = {}) {
+    const g = await load();
+    const o = [Number(originLonLat[0]), Number(originLonLat[1])];
+    const bands = (ranges || []).map(Number).filter(r => r > 0).sort((a, b) => a - b);
+    const max = bands[bands.length - 1] || 0;
+
+    // [lon, lat, seconds] for the origin and every node reached within the largest band
+    const reached = [[o[0], o[1], 0]];
+    const blocked = blockedBy(g, avoid);
+    const a = snapNode(g, o, openNodes(g, blocked));
+    if (a) {
+      const start = accessStep(o, g.nodes[a.id], '').s;
+      const tree = dijkstra(g, a.id, null, blocked ? (e) => (blocked(e) ? Infinity : e.s) : (e) => e.s);
+      tree.dist.forEach((s, id) => {
+        if (start + s <= max) reached.push([g.nodes[id][0], g.nodes[id][1], start + s]);
+      });
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: bands.map(range => ({
+        type: 'Feature',
+        properties: { value: range, center: o, raster: true },
+        geometry: cellsToGeometry(rasterise(reached, range))
+      })),
+      metadata: { service: 'local-centrelines' }
+    };
+  }
+
+  global.Centrelines = {
+    load,
+    route,
+    matrix,
+    isochrones,
+    match: (coords) => (graph ? matchCoords(graph, coords || []) : null),
+    // Closest centreline vertex to [lon, lat] within maxM (null before load() or
+    // out of reach). { access: true } only takes vertices a trip can start
+    // from: on a non-freeway road (an interchange counts), in a component of
+    // some size.
+    nearest: (lonlat, { access = false, maxM = MAX_SNAP_M } = {}) => {
+      const usable = access
+        ? (id) => graph.compSize[graph.comp[id]] >= MIN_ACCESS_COMP && graph.adj[id].some(e => graph.meta[e.f].cls !== 'freeway')
+        : undefined;
+      const hit = graph && nearestNodes(graph, lonlat, maxM, usable)[0];
+      return hit ? graph.nodes[hit.id].slice() : null;
+    },
+    isLoaded: () => !!graph,
+    speedKmh,
+    roadClass
+  };
+})(window);
@@ -0,0 +1,318 @@
+(function (global) {
+  'use strict';
+
+  // Where a PD or zone trip ends (starts, when reversed). The bounding-box
+  // centre of a concave or lakeshore district often falls outside it, so the
+  // Trip Generator can use instead:
+  //
+  // centroid – area-weighted polygon centroid
+  // surface  – the centroid when it is inside, else the middle of the widest
+  //            interior run on a set of horizontal scan lines
+  // snap     – the surface point moved to the closest centreline vertex a trip
+  //            can start from (not on a freeway, not on a stray fragment)
+  //            within SNAP_REACH_M. The file is the provincial highway
+  //            network, so inside Toronto, where it holds only freeways, the
+  //            surface point is usually kept.
+  // manual   – a loading point dragged on the map per PD/zone (saved with the
+  //            session); the surface point until one is dragged
+  //
+  // The points in use are drawn for the checked PDs and selected zones.
+
+  const STRATEGIES = {
+    bbox: 'Bounding-box centre',
+    centroid: 'Polygon centroid',
+    surface: 'Point on surface',
+    snap: 'Nearest centreline',
+    manual: 'Dragged loading points'
+  };
+  const SCAN_ROWS = 15;
+  const SNAP_REACH_M = 3000;
+
+  const S = {
+    map: null,
+    group: null,
+    strategy: 'bbox',
+    show: true,
+    manual: new Map()     // 'pd:key' | 'zone:id' -> [lon, lat]
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function status(msg) {
+    const el = byId('rt-dest-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  function polygonsOf(geom) {
+    if (!geom) return [];
+    if (geom.type === 'MultiPolygon') return geom.coordinates || [];
+    if (geom.type === 'Polygon') return [geom.coordinates || []];
+    return [];
+  }
+
+  // ===== Geometry (lon/lat treated as planar; districts are a few km across) =====
+  function bboxOf(geom) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    polygonsOf(geom).forEach(rings => (rings[0] || []).forEach(([x, y]) => {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }));
+    return Number.isFinite(minX) ? { minX, minY, maxX, maxY } : null;
+  }
+
+  function bboxCentre(geom) {
+    const b = bboxOf(geom);
+    return b ? [(b.minX + b.maxX) / 2, (b.minY + b.maxY) / 2] : null;
+  }
+
+  // Holes count negative whatever their winding
+  function centroid(geom) {
+    let a = 0, cx = 0, cy = 0;
+    polygonsOf(geom).forEach(rings => rings.forEach((ring, ri) => {
+      let ra = 0, rx = 0, ry = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        ra += cross;
+        rx += (ring[j][0] + ring[i][0]) * cross;
+        ry += (ring[j][1] + ring[i][1]) * cross;
+      }
+      if (!ra) return;
+      const sign = (ri === 0) === (ra > 0) ? 1 : -1;
+      a += sign * ra;
+      cx += sign * rx;
+      cy += sign * ry;
+    }));
+    return a ? [cx / (3 * a), cy / (3 * a)] : bboxCentre(geom);
+  }
+
+  function inRing(pt, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < (xj - xi) * (pt[1] - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function inGeometry(pt, geom) {
+    return polygonsOf(geom).some(rings => rings.length && inRing(pt, rings[0]) && !rings.slice(1).some(h => inRing(pt, h)));
+  }
+
+  function surfacePoint(geom) {
+    const c = centroid(geom);
+    if (!c || inGeometry(c, geom)) return c;
+    const b = bboxOf(geom);
+    let best = null;
+    for (let k = 1; k <= SCAN_ROWS; k++) {
+      const y = b.minY + (b.maxY - b.minY) * k / (SCAN_ROWS + 1);
+      // Even-odd crossings over every ring pair up into interior runs
+      const xs = [];
+      polygonsOf(geom).forEach(rings => rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const [xi, yi] = ring[i];
+          const [xj, yj] = ring[j];
+          if ((yi > y) !== (yj > y)) xs.push((xj - xi) * (y - yi) / (yj - yi) + xi);
+        }
+      }));
+      xs.sort((p, q) => p - q);
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        if (!best || xs[i + 1] - xs[i] > best.w) best = { w: xs[i + 1] - xs[i], x: (xs[i] + xs[i + 1]) / 2, y };
+      }
+    }
+    return best ? [best.x, best.y] : c;
+  }
+
+  // ===== Points =====
+  // [lon, lat] for the PD/zone feature under the current strategy
+  function point(kind, key, feature) {
+    const geom = feature && feature.geometry;
+    switch (S.strategy) {
+      case 'centroid':
+        return centroid(geom);
+      case 'surface':
+        return surfacePoint(geom);
+      case 'snap': {
+        const base = surfacePoint(geom);
+        const snapped = base && global.Centrelines &&
+          global.Centrelines.nearest(base, { access: true, maxM: SNAP_REACH_M });
+        return snapped || base;
+      }
+      case 'manual':
+        return (S.manual.get(`${kind}:${key}`) || surfacePoint(geom) || []).slice();
+      default:
+        return bboxCentre(geom);
+    }
+  }
+
+  // Load what the strategy needs before points are read (the centreline graph for snap)
+  async function prepare() {
+    if (S.strategy !== 'snap' || !global.Centrelines || global.Centrelines.isLoaded()) return;
+    status('Loading centrelines…');
+    try {
+      await global.Centrelines.load();
+      status('');
+    } catch (e) {
+      console.error(e);
+      status(`Centrelines unavailable (${e.message || e}); using points on surface.`);
+    }
+  }
+
+  // ===== Map layer =====
+  // { id, kind, key, name, feature } for every checked PD and selected zone
+  function currentTargets() {
+    const out = [];
+    const registry = global.PD_REGISTRY || {};
+    document.querySelectorAll('.pd-cbx:checked').forEach(cbx => {
+      const key = decodeURIComponent(cbx.dataset.key || '');
+      const reg = registry[key];
+      if (!reg || !reg.layer) return;
+      out.push({ kind: 'pd', key, name: reg.name || key, feature: reg.layer.feature || reg.layer.toGeoJSON() });
+    });
+    const byPd = typeof global.getZonesByPD === 'function' ? global.getZonesByPD() : new Map();
+    const zones = new Map();
+    byPd.forEach(list => list.forEach(z => zones.set(String(z.id), z.feature)));
+    const selected = typeof global.getSelectedZoneTargets === 'function' ? global.getSelectedZoneTargets() : [];
+    selected.forEach(t => {
+      const feature = t && zones.get(String(t.key));
+      if (feature) out.push({ kind: 'zone', key: String(t.key), name: t.label || `Zone ${t.key}`, feature });
+    });
+    return out;
+  }
+
+  function clearLayer() {
+    if (S.group) {
+      try { S.map.removeLayer(S.group); } catch {}
+      S.group = null;
+    }
+  }
+
+  function refresh() {
+    clearLayer();
+    if (!S.map || !S.show) return;
+    const targets = currentTargets();
+    if (!targets.length) return;
+    S.group = L.layerGroup().addTo(S.map);
+    const label = STRATEGIES[S.strategy];
+    targets.forEach(t => {
+      const pt = point(t.kind, t.key, t.feature);
+      if (!pt || !pt.length) return;
+      const id = `${t.kind}:${t.key}`;
+      const latlng = [pt[1], pt[0]];
+      let marker;
+      if (S.strategy === 'manual') {
+        marker = L.marker(latlng, {
+          draggable: true,
+          icon: L.divIcon({ className: `dest-pin${S.manual.has(id) ? ' moved' : ''}`, iconSize: [14, 14] })
+        });
+        marker.on('dragend', () => {
+          const ll = marker.getLatLng();
+          S.manual.set(id, [ll.lng, ll.lat]);
+          marker.setIcon(L.divIcon({ className: 'dest-pin moved', iconSize: [14, 14] }));
+          status(`${S.manual.size} dragged point${S.manual.size === 1 ? '' : 's'}.`);
+        });
+      } else {
+        marker = L.circleMarker(latlng, { radius: 4, color: '#111', weight: 1.5, fillColor: '#fff', fillOpacity: 1 });
+      }
+      marker.bindTooltip(`${escapeHtml(t.name)}<br><small>${escapeHtml(label)}</small>`, { direction: 'top' });
+      marker.addTo(S.group);
+    });
+  }
+
+  function setStrategy(id) {
+    S.strategy = STRATEGIES[id] ? id : 'bbox';
+    const sel = byId('rt-dest-strategy');
+    if (sel) sel.value = S.strategy;
+    const reset = byId('rt-dest-reset');
+    if (reset) reset.hidden = S.strategy !== 'manual';
+    status(S.strategy === 'manual' ? 'Drag the points to the site driveways or loading docks.' : '');
+    return prepare().then(refresh);
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const sel = byId('rt-dest-strategy');
+    const show = byId('rt-dest-show');
+    const reset = byId('rt-dest-reset');
+    if (sel) sel.onchange = () => setStrategy(sel.value);
+    if (show) {
+      show.onchange = () => {
+        S.show = show.checked;
+        refresh();
+      };
+    }
+    if (reset) {
+      reset.onclick = () => {
+        S.manual.clear();
+        status('Dragged points reset.');
+        refresh();
+      };
+    }
+    document.addEventListener('selection:changed', refresh);
+
+    if (global.AppState) {
+      global.AppState.register('destinations', {
+        save: () => ({
+          strategy: S.strategy,
+          show: S.show,
+          points: Object.fromEntries(S.manual)
+        }),
+        load: (data) => {
+          if (!data) return;
+          S.manual = new Map(Object.entries(data.points || {}));
+          S.show = data.show !== false;
+          if (show) show.checked = S.show;
+          setStrategy(data.strategy);
+        }
+      });
+    }
+    refresh();
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    const options = Object.keys(STRATEGIES)
+      .map(id => `<option value="${id}">${escapeHtml(STRATEGIES[id])}</option>`).join('');
+    global.Routing.addSection('Destination points', `
+      <label for="rt-dest-strategy" style="font-weight:600;">PD / zone point</label>
+      <select id="rt-dest-strategy" style="margin-top:4px;">${options}</select>
+      <div class="routing-row">
+        <label><input type="checkbox" id="rt-dest-show" checked> Show on map</label>
+        <button id="rt-dest-reset" type="button" class="ghost" hidden>Reset dragged</button>
+      </div>
+      <small class="routing-hint" id="rt-dest-status"></small>
+    `, { id: 'rt-dest-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.DestinationPoints = {
+    point,
+    prepare,
+    refresh,
+    strategy: () => S.strategy,
+    label: () => STRATEGIES[S.strategy],
+    setStrategy,
+    STRATEGIES
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
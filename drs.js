@@ -0,0 +1,266 @@
+(function (global) {
+  'use strict';
+
+  // Import of TTS Data Retrieval System cross-tabs (origin zone × destination
+  // zone trips). Counts are keyed by TTS2022 zone id, rolled up to PDs through
+  // script.js (zoneLookup + pdKeyFromProps), and used to prefill the PD list
+  // and the zone % boxes.
+  //
+  // Accepted layouts (comma, tab or space separated; DRS header lines such
+  // as "TABLE : ..." are skipped):
+  //   list    orig  dest  trips          one cell per line
+  //   matrix  <label> d1 d2 d3 ...       header of destination zones (the
+  //           o1      n  n  n  ...       label may be blank), then one row
+  //                                      per origin zone
+  // Wide DRS matrices split into column blocks; each new header starts a block.
+
+  // Route count for a PD by its share of trips (first band that fits)
+  const ROUTE_COUNT_BANDS = [
+    { minPercent: 15, count: 3 },
+    { minPercent: 5, count: 2 },
+    { minPercent: 0, count: 1 }
+  ];
+
+  const S = {
+    table: null,   // { cells: [{ o, d, n }], format }
+    fileName: ''
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+  const round1 = (v) => Math.round(v * 10) / 10;
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // CSV cells may be quoted ("1,234"); otherwise split on tabs or runs of spaces
+  function splitLine(line) {
+    if (!line.includes(',')) return line.trim().split(line.includes('\t') ? '\t' : /\s+/).map(t => t.trim());
+    const out = [];
+    let cur = '';
+    let quoted = false;
+    for (const ch of line) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === ',' && !quoted) { out.push(cur.trim()); cur = ''; }
+      else cur += ch;
+    }
+    out.push(cur.trim());
+    return out;
+  }
+
+  // Zone ids are integers; "0012" and "12" are the same zone
+  function zoneId(tok) {
+    return /^\d+$/.test(tok) ? String(Number(tok)) : null;
+  }
+
+  function count(tok) {
+    if (tok === '' || tok == null) return 0;
+    const n = Number(String(tok).replace(/,/g, ''));
+    return isFiniteNum(n) ? n : NaN;
+  }
+
+  // A header with a blank corner cell: only zone ids (and labels such as
+  // "Total"), followed by a row one token longer (the origin id + a count per
+  // column). A list line has three tokens and is followed by another three.
+  function isBareHeader(toks, next) {
+    return toks.every(t => zoneId(t) || !/\d/.test(t)) &&
+      !!next && next.length === toks.length + 1 && (next.length > 3 || toks.length < 3);
+  }
+
+  // ===== Parsing =====
+  function parseCrossTab(text) {
+    const cells = [];
+    let columns = null; // destination ids of the current matrix block
+    let format = null;
+
+    const rows = String(text || '').split(/\r?\n/)
+      .map(raw => raw.trim())
+      .filter(line => line && !/^[A-Za-z ]+\s*:/.test(line)) // blank / "TABLE : ..." metadata
+      .map(splitLine);
+
+    rows.forEach((toks, r) => {
+      const first = zoneId(toks[0]);
+      const rest = toks.slice(1);
+
+      // Header: non-zone label (or blank) followed by zone ids / totals
+      if (!first && rest.length && rest.some(t => zoneId(t))) {
+        columns = rest.map(zoneId);
+        format = 'matrix';
+        return;
+      }
+      if (first && isBareHeader(toks, rows[r + 1])) {
+        columns = toks.map(zoneId);
+        format = 'matrix';
+        return;
+      }
+      if (!first) return; // "Total" rows and other labels
+
+      if (columns && rest.length >= columns.length - 1) {
+        columns.forEach((d, i) => {
+          if (!d) return; // "Total" column
+          const n = count(rest[i]);
+          if (n > 0) cells.push({ o: first, d, n });
+        });
+        return;
+      }
+
+      if (toks.length === 3 && zoneId(toks[1])) {
+        const n = count(toks[2]);
+        if (n > 0) cells.push({ o: first, d: zoneId(toks[1]), n });
+        format = format || 'list';
+      }
+    });
+
+    if (!cells.length) throw new Error('No origin × destination counts found in this file.');
+    return { cells, format };
+  }
+
+  // Trips per zone on the far side of the site zone(s).
+  // role 'origin': site zones are origins, count destinations; 'destination' the reverse.
+  // No site zones: every row/column is used.
+  function zoneCounts(table, siteZones, role) {
+    const site = new Set(siteZones);
+    const out = new Map();
+    table.cells.forEach(({ o, d, n }) => {
+      const [from, to] = role === 'destination' ? [d, o] : [o, d];
+      if (site.size && !site.has(from)) return;
+      out.set(to, (out.get(to) || 0) + n);
+    });
+    return out;
+  }
+
+  function routeCountFor(percent) {
+    const band = ROUTE_COUNT_BANDS.find(b => percent >= b.minPercent);
+    return band ? band.count : 1;
+  }
+
+  // ===== Apply to the PD list / zone % =====
+  function apply() {
+    const status = byId('rt-drs-status');
+    const say = (html) => { if (status) status.innerHTML = html; };
+
+    if (!S.table) { say('Load a DRS cross-tab first.'); return; }
+    if (typeof global.rollUpZoneCounts !== 'function' || typeof global._pdSetDistribution !== 'function') {
+      say('Planning Districts / Zones are still loading.');
+      return;
+    }
+
+    const siteZones = String(byId('rt-drs-site')?.value || '').split(/[,;\s]+/).map(zoneId).filter(Boolean);
+    const role = byId('rt-drs-role')?.value === 'destination' ? 'destination' : 'origin';
+    const minPct = Number(byId('rt-drs-min')?.value) || 0;
+
+    const counts = zoneCounts(S.table, siteZones, role);
+    const { byPd, unmatched } = global.rollUpZoneCounts(counts);
+    const matchedTotal = Array.from(byPd.values()).reduce((a, b) => a + b, 0);
+    if (!matchedTotal) {
+      say(siteZones.length
+        ? `No trips for site zone(s) ${escapeHtml(siteZones.join(', '))} match known zones.`
+        : 'No trips match known zones.');
+      return;
+    }
+
+    // PDs under the minimum are dropped and the rest rescaled to 100%
+    const kept = Array.from(byPd.entries()).filter(([, n]) => {
+      const percent = round1(n / matchedTotal * 100);
+      return percent >= minPct && percent > 0;
+    });
+    const keptTotal = kept.reduce((a, [, n]) => a + n, 0);
+    const percents = kept.map(([, n]) => round1(n / keptTotal * 100));
+    // The rounding remainder goes to the largest PD so the list adds up to 100
+    if (percents.length) {
+      const top = percents.indexOf(Math.max(...percents));
+      percents[top] = round1(percents[top] + 100 - percents.reduce((a, b) => a + b, 0));
+    }
+    const pdValues = new Map();
+    kept.forEach(([pdKey], i) => {
+      pdValues.set(pdKey, { percent: percents[i], count: routeCountFor(percents[i]) });
+    });
+    global._pdSetDistribution(pdValues);
+
+    const zonePct = new Map();
+    counts.forEach((n, zId) => {
+      if (unmatched.includes(zId)) return;
+      zonePct.set(zId, round1(n / matchedTotal * 100));
+    });
+    if (typeof global._zonesSetPercents === 'function') global._zonesSetPercents(zonePct);
+
+    const unmatchedTrips = unmatched.reduce((a, z) => a + (counts.get(z) || 0), 0);
+    say(`
+      ${Math.round(matchedTotal)} trips from ${counts.size - unmatched.length} zones →
+      ${pdValues.size} PD(s) selected${byPd.size > pdValues.size ? ` (${byPd.size - pdValues.size} under ${minPct}%)` : ''}.
+      ${unmatched.length ? `<br>${unmatched.length} zone id(s) not in tts_zones.json (${Math.round(unmatchedTrips)} trips ignored).` : ''}
+    `);
+  }
+
+  function onFile(file) {
+    const status = byId('rt-drs-status');
+    if (!file) return;
+    file.text()
+      .then(text => {
+        S.table = parseCrossTab(text);
+        S.fileName = file.name;
+        const siteInp = byId('rt-drs-site');
+        if (siteInp && !siteInp.value.trim()) siteInp.value = guessSiteZone() || '';
+        apply();
+      })
+      .catch(err => {
+        S.table = null;
+        console.error('DRS import failed:', err);
+        if (status) status.textContent = err.message || 'Could not read this file.';
+      });
+  }
+
+  // Zone under the current origin pin, if any
+  function guessSiteZone() {
+    const o = global.ROUTING_ORIGIN;
+    if (!o || typeof global.zoneIdAt !== 'function') return null;
+    return global.zoneIdAt([o.lat, o.lon]);
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const inp = byId('rt-drs-file');
+    const btn = byId('rt-drs-apply');
+    if (inp) inp.onchange = () => onFile(inp.files && inp.files[0]);
+    if (btn) btn.onclick = () => apply();
+  }
+
+  function init() {
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('TTS import', `
+      <label for="rt-drs-file" style="font-weight:600;">DRS cross-tab (CSV / text)</label>
+      <input id="rt-drs-file" type="file" accept=".csv,.txt,.tsv,text/plain,text/csv">
+      <label for="rt-drs-site" style="font-weight:600;display:block;margin-top:6px;">Site zone(s)</label>
+      <input id="rt-drs-site" type="text" placeholder="TTS2022 id(s); blank = whole table">
+      <label for="rt-drs-role" style="font-weight:600;display:block;margin-top:6px;">Site zone is the</label>
+      <select id="rt-drs-role">
+        <option value="origin">Trip origin (rows)</option>
+        <option value="destination">Trip destination (columns)</option>
+      </select>
+      <label for="rt-drs-min" style="font-weight:600;display:block;margin-top:6px;">Skip PDs under (%)</label>
+      <input id="rt-drs-min" type="number" min="0" max="100" step="0.1" value="1">
+      <div class="routing-row">
+        <button id="rt-drs-apply" type="button">Apply to PDs</button>
+      </div>
+      <small class="routing-hint" id="rt-drs-status">
+        Fills PD %, route counts (1–3 by share) and zone % from the table.
+      </small>
+    `, { id: 'rt-drs-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.DrsImport = {
+    parse: parseCrossTab,
+    zoneCounts,
+    apply
+  };
+
+  document.addEventListener('DOMContentLoaded', init);
+})(window);
@@ -0,0 +1,432 @@
+(function (global) {
+  'use strict';
+
+  // File exports of ROUTING_CACHE for GIS / traffic tools. Every route becomes
+  // one line feature with the same attribute set in every format:
+  //   trip_type, key, name, zone, access, alt_rank, distance_km, duration_min,
+  //   direction, origin, destination, percent, volume, provider, profile, avoid,
+  //   via_points
+  // (zone is set on the per-zone trips of a zone-weighted PD run, access on
+  // trips routed from a named site access; via_points counts manual vias).
+  // Alternatives excluded in the results panel are left out, as in the report.
+  // The movement-table exports write the report's street rows as CSV/XLSX.
+
+  // ===== Small helpers =====
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+
+  function xmlEscape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  function csvCell(v) {
+    const s = String(v == null ? '' : v);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  const round = (v, d) => isFiniteNum(v) ? Number(v.toFixed(d)) : null;
+  const isExcluded = (trip, idx) => Array.isArray(trip.excluded) && trip.excluded.includes(idx);
+
+  // ===== One flat record per route =====
+  function routeAttrs(cache, trip, feat, idx) {
+    const props = feat.properties || {};
+    const summary = props.summary || (Array.isArray(props.segments) && props.segments[0]) || {};
+    const routeVol = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+    return {
+      trip_type: trip.type,
+      key: trip.key != null ? String(trip.key) : '',
+      name: trip.type === 'PD' ? (trip.name || trip.key || '') : (trip.label || trip.key || ''),
+      zone: trip.zone != null ? String(trip.zone) : '',
+      access: trip.access || '',
+      alt_rank: idx + 1,
+      distance_km: round(Number(summary.distance) / 1000, 3),
+      duration_min: round(Number(summary.duration) / 60, 2),
+      direction: trip.reverse ? 'inbound' : 'outbound',
+      origin: (trip.origin && trip.origin.label) || '',
+      destination: (trip.destination && trip.destination.label) || '',
+      percent: isFiniteNum(trip.percent) ? trip.percent : null,
+      volume: round(routeVol, 2),
+      provider: props.provider || cache.provider || '',
+      profile: (trip.options && trip.options.profile) || '',
+      avoid: ((trip.options && trip.options.avoid) || []).join(' '),
+      via_points: trip.via ? trip.via.length : 0
+    };
+  }
+
+  function routeRecords(cache) {
+    const out = [];
+    (cache && cache.trips || []).forEach(trip => {
+      (trip.features || []).forEach((feat, idx) => {
+        if (isExcluded(trip, idx)) return;
+        out.push({
+          coords: (feat.geometry && feat.geometry.coordinates) || [],
+          attrs: routeAttrs(cache, trip, feat, idx)
+        });
+      });
+    });
+    return out;
+  }
+
+  const FIELDS = ['trip_type', 'key', 'name', 'zone', 'access', 'alt_rank', 'distance_km', 'duration_min',
+    'direction', 'origin', 'destination', 'percent', 'volume', 'provider', 'profile', 'avoid', 'via_points'];
+
+  // ===== Writers =====
+  function toGeoJSON(cache) {
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: routeRecords(cache).map(r => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: r.coords },
+        properties: r.attrs
+      }))
+    }, null, 2);
+  }
+
+  function toKML(cache) {
+    const COLORS = ['ffa53a0b', 'fff36621', 'fff9a98f']; // aabbggrr for rank 1, 2, 3
+    const styles = COLORS.map((c, i) =>
+      `<Style id="rank${i + 1}"><LineStyle><color>${c}</color><width>${i ? 3 : 4}</width></LineStyle></Style>`).join('\n    ');
+    const placemarks = routeRecords(cache).map(r => {
+      const data = FIELDS.map(f =>
+        `<Data name="${f}"><value>${xmlEscape(r.attrs[f] == null ? '' : r.attrs[f])}</value></Data>`).join('');
+      const coords = r.coords.map(c => `${c[0]},${c[1]}`).join(' ');
+      return `
+    <Placemark>
+      <name>${xmlEscape(`${r.attrs.name} – route ${r.attrs.alt_rank}`)}</name>
+      <styleUrl>#rank${Math.min(r.attrs.alt_rank, COLORS.length)}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      <LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString>
+    </Placemark>`;
+    }).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(exportTitle(cache))}</name>
+    ${styles}${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  function toGPX(cache) {
+    const tracks = routeRecords(cache).map(r => {
+      const ext = FIELDS.map(f => `<rt:${f}>${xmlEscape(r.attrs[f] == null ? '' : r.attrs[f])}</rt:${f}>`).join('');
+      const pts = r.coords.map(c => `<trkpt lat="${c[1]}" lon="${c[0]}"/>`).join('');
+      return `
+  <trk>
+    <name>${xmlEscape(`${r.attrs.name} – route ${r.attrs.alt_rank}`)}</name>
+    <desc>${xmlEscape(`${r.attrs.origin} → ${r.attrs.destination} · ${r.attrs.distance_km} km · ${r.attrs.duration_min} min`)}</desc>
+    <number>${r.attrs.alt_rank}</number>
+    <type>${xmlEscape(r.attrs.trip_type)}</type>
+    <extensions>${ext}</extensions>
+    <trkseg>${pts}</trkseg>
+  </trk>`;
+    }).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="my-map Trip Generator"
+     xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:rt="urn:my-map:trip-attributes">
+  <metadata><name>${xmlEscape(exportTitle(cache))}</name></metadata>${tracks}
+</gpx>
+`;
+  }
+
+  // WKT geometry column + attributes; loads in QGIS/ArcGIS as delimited text
+  // and converts to a shapefile from there.
+  function toCSV(cache) {
+    const lines = [['WKT'].concat(FIELDS).join(',')];
+    routeRecords(cache).forEach(r => {
+      const wkt = `LINESTRING (${r.coords.map(c => `${c[0]} ${c[1]}`).join(', ')})`;
+      lines.push([wkt].concat(FIELDS.map(f => r.attrs[f])).map(csvCell).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // ===== Street movement tables (one row per trip × route × movement) =====
+  // opts.match: use Centrelines.match names + OGF_IDs like the printed report
+  function movementTables(cache, opts = {}) {
+    const R = global.Report;
+    const movements = [];
+    const routes = [];
+    (cache && cache.trips || []).forEach(trip => {
+      (trip.features || []).forEach((feat, idx) => {
+        if (isExcluded(trip, idx)) return;
+        const r = routeAttrs(cache, trip, feat, idx);
+        const route = {
+          trip_type: r.trip_type,
+          pd_zone: r.key,
+          name: r.name,
+          origin: r.origin,
+          destination: r.destination,
+          reverse: !!trip.reverse,
+          route_rank: r.alt_rank,
+          route_km: r.distance_km,
+          route_min: r.duration_min,
+          route_veh: r.volume
+        };
+        routes.push(route);
+        const movs = R ? R.movementsForFeature(feat, opts).movs : [];
+        movs.forEach(m => movements.push({
+          ...route,
+          direction: m.dir,
+          street: m.name,
+          km: round(m.km, 3),
+          ogf_id: opts.match && m.ogfIds ? m.ogfIds.join(' ') : undefined
+        }));
+      });
+    });
+    return { movements, routes };
+  }
+
+  function movementFields(opts = {}) {
+    return ['trip_type', 'pd_zone', 'name', 'origin', 'destination', 'reverse', 'route_rank',
+      'direction', 'street', 'km'].concat(opts.match ? ['ogf_id'] : [], ['route_km', 'route_min', 'route_veh']);
+  }
+
+  const ROUTE_FIELDS = ['trip_type', 'pd_zone', 'name', 'origin', 'destination', 'reverse',
+    'route_rank', 'route_km', 'route_min', 'route_veh'];
+
+  function toMovementsCSV(cache, opts = {}) {
+    const fields = movementFields(opts);
+    const lines = [fields.join(',')];
+    movementTables(cache, opts).movements.forEach(row => {
+      lines.push(fields.map(f => csvCell(row[f])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function toMovementsXLSX(cache, opts = {}) {
+    const { movements, routes } = movementTables(cache, opts);
+    return xlsxWorkbook([
+      { name: 'Movements', fields: movementFields(opts), rows: movements },
+      { name: 'Routes', fields: ROUTE_FIELDS, rows: routes }
+    ]);
+  }
+
+  // ===== Minimal XLSX writer (stored zip, inline strings) =====
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [{ name, text }] -> Uint8Array of a zip without compression
+  function zipStore(files) {
+    const enc = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    const header = (size) => {
+      const buf = new Uint8Array(size);
+      return { buf, view: new DataView(buf.buffer) };
+    };
+
+    files.forEach(f => {
+      const name = enc.encode(f.name);
+      const data = enc.encode(f.text);
+      const crc = crc32(data);
+
+      const { buf: local, view: lv } = header(30 + name.length);
+      lv.setUint32(0, 0x04034b50, true);
+      lv.setUint16(4, 20, true);          // version needed
+      lv.setUint16(6, 0x0800, true);      // UTF-8 names
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, data.length, true);
+      lv.setUint32(22, data.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      const { buf: cen, view: cv } = header(46 + name.length);
+      cv.setUint32(0, 0x02014b50, true);
+      cv.setUint16(4, 20, true);
+      cv.setUint16(6, 20, true);
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, data.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(42, offset, true);
+      cen.set(name, 46);
+
+      chunks.push(local, data);
+      central.push(cen);
+      offset += local.length + data.length;
+    });
+
+    const cenSize = central.reduce((a, c) => a + c.length, 0);
+    const { buf: end, view: ev } = header(22);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, cenSize, true);
+    ev.setUint32(16, offset, true);
+
+    const all = chunks.concat(central, [end]);
+    const out = new Uint8Array(all.reduce((a, c) => a + c.length, 0));
+    let p = 0;
+    all.forEach(c => { out.set(c, p); p += c.length; });
+    return out;
+  }
+
+  function colName(i) {
+    let s = '';
+    for (i += 1; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+    return s;
+  }
+
+  function sheetXml(fields, rows) {
+    const cell = (ref, v, style) => {
+      if (v == null || v === '') return '';
+      const s = style ? ` s="${style}"` : '';
+      if (typeof v === 'number' && isFiniteNum(v)) return `<c r="${ref}"${s}><v>${v}</v></c>`;
+      if (typeof v === 'boolean') return `<c r="${ref}"${s} t="b"><v>${v ? 1 : 0}</v></c>`;
+      return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    };
+    const head = `<row r="1">${fields.map((f, i) => cell(colName(i) + 1, f, 1)).join('')}</row>`;
+    const body = rows.map((row, r) =>
+      `<row r="${r + 2}">${fields.map((f, i) => cell(colName(i) + (r + 2), row[f])).join('')}</row>`).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${head}${body}</sheetData>` +
+      (rows.length ? `<autoFilter ref="A1:${colName(fields.length - 1)}${rows.length + 1}"/>` : '') +
+      '</worksheet>';
+  }
+
+  // sheets: [{ name, fields, rows }]
+  function xlsxWorkbook(sheets) {
+    const NS = 'http://schemas.openxmlformats.org';
+    const files = [
+      {
+        name: '[Content_Types].xml',
+        text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          `<Types xmlns="${NS}/package/2006/content-types">` +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          `<Relationships xmlns="${NS}/package/2006/relationships">` +
+          `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/workbook.xml',
+        text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          `<workbook xmlns="${NS}/spreadsheetml/2006/main" xmlns:r="${NS}/officeDocument/2006/relationships"><sheets>` +
+          sheets.map((sh, i) => `<sheet name="${xmlEscape(sh.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+          '</sheets></workbook>'
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          `<Relationships xmlns="${NS}/package/2006/relationships">` +
+          sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+          `<Relationship Id="rId${sheets.length + 1}" Type="${NS}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+          '</Relationships>'
+      },
+      {
+        name: 'xl/styles.xml',
+        text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          `<styleSheet xmlns="${NS}/spreadsheetml/2006/main">` +
+          '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+          '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+          '<borders count="1"><border/></borders>' +
+          '<cellStyleXfs count="1"><xf/></cellStyleXfs>' +
+          '<cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs>' +
+          '</styleSheet>'
+      }
+    ].concat(sheets.map((sh, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      text: sheetXml(sh.fields, sh.rows)
+    })));
+    return zipStore(files);
+  }
+
+  const FORMATS = {
+    geojson: { label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', write: toGeoJSON },
+    kml: { label: 'KML', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml', write: toKML },
+    gpx: { label: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', write: toGPX },
+    csv: { label: 'CSV (WKT, shapefile-ready)', ext: 'csv', mime: 'text/csv', write: toCSV },
+    'movements-csv': {
+      label: 'Movement tables (CSV)', ext: 'csv', mime: 'text/csv',
+      suffix: 'movements', movements: true, write: toMovementsCSV
+    },
+    'movements-xlsx': {
+      label: 'Movement tables (XLSX)', ext: 'xlsx', suffix: 'movements', movements: true,
+      mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: toMovementsXLSX
+    }
+  };
+
+  function exportTitle(cache) {
+    const dist = cache.distribution || {};
+    return [cache.mode === 'PZ' ? 'Zone trips' : 'PD trips', dist.label].filter(Boolean).join(' – ');
+  }
+
+  // data: text or bytes (Uint8Array)
+  function download(name, mime, data) {
+    const type = typeof data === 'string' ? mime + ';charset=utf-8' : mime;
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportTrips(format) {
+    const cache = global.ROUTING_CACHE;
+    if (!cache || !cache.trips || !cache.trips.length) {
+      alert('No trips available. Please generate trips first.');
+      return;
+    }
+    const fmt = FORMATS[format];
+    if (!fmt) throw new Error(`Unknown export format: ${format}`);
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    const name = ['trips', (cache.mode || 'pd').toLowerCase(), fmt.suffix, stamp].filter(Boolean).join('-') + '.' + fmt.ext;
+    const save = (opts) => download(name, fmt.mime, fmt.write(cache, opts));
+
+    // Movement rows follow the report's "Match streets to official centrelines" box
+    const useMatch = fmt.movements && !!document.getElementById('rt-report-match')?.checked && !!global.Centrelines;
+    if (!useMatch) {
+      save({});
+      return Promise.resolve();
+    }
+    return global.Centrelines.load()
+      .then(() => save({ match: true }))
+      .catch(err => {
+        console.warn('Centreline matching unavailable, using step names:', err);
+        save({});
+      });
+  }
+
+  global.TripExport = {
+    formats: () => Object.keys(FORMATS).map(id => ({ id, label: FORMATS[id].label })),
+    write: (format, cache, opts) => FORMATS[format].write(cache, opts),
+    movementTables,
+    exportTrips,
+    download
+  };
+})(window);
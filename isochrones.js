@@ -0,0 +1,249 @@
+(function (global) {
+  'use strict';
+
+  // Drive-time catchments around the site origin (Routing.getIsochrones: ORS
+  // isochrones, Valhalla or the offline centreline raster). Each band is its
+  // own map layer; PDs and zones are listed under the smallest band holding
+  // their destination point (destinations.js, as for the trips), so the lists
+  // read as 0–10, 10–20, 20–30 min rings.
+
+  const RAMP = ['#1a9850', '#91cf60', '#d9ef8b', '#fee08b', '#fc8d59', '#d73027'];
+  const MAX_BANDS = RAMP.length;
+
+  const S = {
+    map: null,
+    group: null,
+    bands: [],        // { minutes, feature, layer, pds: [names], zones: [ids], visible }
+    busy: false
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function status(msg) {
+    const el = byId('rt-iso-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  // "10, 20 30" -> [10, 20, 30]; throws on anything else
+  function parseBands(raw) {
+    const parts = String(raw || '').split(/[,;\s]+/).filter(Boolean);
+    const mins = parts.map(Number);
+    if (!mins.length || mins.some(m => !Number.isFinite(m) || m <= 0)) {
+      throw new Error('Enter the bands as minutes, e.g. 10,20,30.');
+    }
+    const uniq = Array.from(new Set(mins)).sort((a, b) => a - b);
+    if (uniq.length > MAX_BANDS) throw new Error(`At most ${MAX_BANDS} bands.`);
+    return uniq;
+  }
+
+  // ===== Point in (Multi)Polygon, holes respected =====
+  function inRing(pt, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < (xj - xi) * (pt[1] - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function inGeometry(pt, geom) {
+    if (!geom) return false;
+    const polys = geom.type === 'MultiPolygon' ? geom.coordinates : geom.type === 'Polygon' ? [geom.coordinates] : [];
+    return polys.some(rings => rings.length && inRing(pt, rings[0]) && !rings.slice(1).some(h => inRing(pt, h)));
+  }
+
+  // ===== Membership (PD_REGISTRY / getZonesByPD from script.js) =====
+  // Same destination points as the trips when destinations.js is loaded
+  function pointOf(kind, key, feature, fallback) {
+    return global.DestinationPoints
+      ? global.DestinationPoints.point(kind, key, feature)
+      : fallback && [fallback.lng, fallback.lat];
+  }
+
+  function assign(bands) {
+    const bandOf = (pt) => pt && bands.find(b => inGeometry(pt, b.feature.geometry));
+
+    const registry = global.PD_REGISTRY || {};
+    Object.keys(registry).forEach(key => {
+      const reg = registry[key];
+      if (!reg || !reg.layer) return;
+      const feature = reg.layer.feature || reg.layer.toGeoJSON();
+      const band = bandOf(pointOf('pd', key, feature, reg.layer.getBounds().getCenter()));
+      if (band) band.pds.push(reg.name || key);
+    });
+
+    if (typeof global.getZonesByPD === 'function') {
+      global.getZonesByPD().forEach(zones => {
+        zones.forEach(z => {
+          const band = bandOf(pointOf('zone', z.id, z.feature, z.center));
+          if (band) band.zones.push(z.id);
+        });
+      });
+    }
+    bands.forEach(b => {
+      b.pds.sort((x, y) => x.localeCompare(y, undefined, { numeric: true }));
+      b.zones.sort((x, y) => x.localeCompare(y, undefined, { numeric: true }));
+    });
+  }
+
+  // ===== Layers =====
+  function clearLayers() {
+    if (S.group) {
+      try { S.map.removeLayer(S.group); } catch {}
+      S.group = null;
+    }
+  }
+
+  function clearAll() {
+    clearLayers();
+    S.bands = [];
+    renderList();
+    status('');
+  }
+
+  function draw() {
+    clearLayers();
+    if (!S.bands.length) return;
+    S.group = L.layerGroup().addTo(S.map);
+    // Largest first so the inner bands stay on top for hovering
+    S.bands.slice().reverse().forEach(b => {
+      const colour = RAMP[S.bands.indexOf(b)];
+      const raster = !!(b.feature.properties && b.feature.properties.raster);
+      b.layer = L.geoJSON(b.feature, {
+        style: { color: colour, weight: raster ? 0 : 2, stroke: !raster, fillColor: colour, fillOpacity: 0.2 }
+      });
+      b.layer.bindTooltip(`≤ ${b.minutes} min`, { sticky: true });
+      if (b.visible) b.layer.addTo(S.group);
+    });
+  }
+
+  function renderList() {
+    const box = byId('rt-iso-results');
+    if (!box) return;
+    box.innerHTML = S.bands.map((b, i) => {
+      const lo = i ? S.bands[i - 1].minutes : 0;
+      return `
+      <div class="iso-band">
+        <label>
+          <input type="checkbox" data-band="${i}"${b.visible ? ' checked' : ''}>
+          <span class="iso-swatch" style="background:${RAMP[i]}"></span>
+          ${lo}–${b.minutes} min
+        </label>
+        <small>${b.pds.length} PD${b.pds.length === 1 ? '' : 's'} · ${b.zones.length} zone${b.zones.length === 1 ? '' : 's'}</small>
+        ${b.pds.length || b.zones.length ? `
+        <details>
+          <summary>List</summary>
+          ${b.pds.length ? `<div><strong>PDs:</strong> ${escapeHtml(b.pds.join(', '))}</div>` : ''}
+          ${b.zones.length ? `<div><strong>Zones:</strong> ${escapeHtml(b.zones.join(', '))}</div>` : ''}
+        </details>` : ''}
+      </div>`;
+    }).join('');
+  }
+
+  // ===== Run =====
+  async function run() {
+    if (S.busy) return;
+    let minutes;
+    try {
+      minutes = parseBands(byId('rt-iso-bands')?.value);
+    } catch (e) {
+      status(e.message);
+      return;
+    }
+    if (!global.ROUTING_ORIGIN) {
+      alert('Please pick an origin using the address search bar first.');
+      return;
+    }
+
+    const btn = byId('rt-iso-run');
+    S.busy = true;
+    if (btn) btn.disabled = true;
+    status('Requesting isochrones…');
+    try {
+      const reverse = !!byId('rt-reverse')?.checked;
+      const fc = await global.Routing.getIsochrones(minutes.map(m => m * 60), { reverse });
+      const bands = minutes.map(m => {
+        const feature = fc.features.find(f => Math.round(Number(f.properties && f.properties.value)) === m * 60);
+        return feature ? { minutes: m, feature, layer: null, pds: [], zones: [], visible: true } : null;
+      }).filter(Boolean);
+      if (!bands.length) throw new Error('The provider returned no isochrone polygons.');
+
+      if (global.DestinationPoints) await global.DestinationPoints.prepare();
+      assign(bands);
+      S.bands = bands;
+      draw();
+      renderList();
+      const outer = S.group && L.featureGroup(S.bands.map(b => b.layer)).getBounds();
+      if (outer && outer.isValid()) S.map.fitBounds(outer, { padding: [20, 20] });
+      status(`${bands.length} band(s) ${reverse ? 'to' : 'from'} the origin.`);
+    } catch (e) {
+      console.error(e);
+      status(`Isochrone request failed: ${e.message || e}`);
+    } finally {
+      S.busy = false;
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const btnRun = byId('rt-iso-run');
+    const btnClear = byId('rt-iso-clear');
+    const box = byId('rt-iso-results');
+    if (btnRun) btnRun.onclick = run;
+    if (btnClear) btnClear.onclick = clearAll;
+    if (box) {
+      box.onchange = (e) => {
+        const cbx = e.target.closest('input[data-band]');
+        const band = cbx && S.bands[Number(cbx.dataset.band)];
+        if (!band || !S.group) return;
+        band.visible = cbx.checked;
+        if (band.visible) band.layer.addTo(S.group);
+        else S.group.removeLayer(band.layer);
+      };
+    }
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Isochrones', `
+      <label for="rt-iso-bands" style="font-weight:600;">Bands (minutes)</label>
+      <div class="routing-row" style="margin-top:4px;flex-wrap:nowrap;">
+        <input id="rt-iso-bands" type="text" value="10,20,30">
+        <button id="rt-iso-run" type="button">Draw</button>
+        <button id="rt-iso-clear" type="button" class="ghost">Clear</button>
+      </div>
+      <div id="rt-iso-results"></div>
+      <small class="routing-hint" id="rt-iso-status">
+        Drive-time catchments around the origin (to it when Reverse is ticked), with the PDs and zones whose centre falls in each band.
+      </small>
+    `, { id: 'rt-iso-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.Isochrones = {
+    run,
+    clear: clearAll,
+    bands: () => S.bands.map(b => ({ minutes: b.minutes, pds: b.pds.slice(), zones: b.zones.slice() }))
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
@@ -0,0 +1,163 @@
+(function (global) {
+  'use strict';
+
+  // Shareable links: a subset of the AppState snapshot written as short query
+  // parameters and restored on page load.
+  //   o=lat,lon  ol=label          origin
+  //   pd=key:count[:pct],...        checked PDs
+  //   z=id[:pct],...  ze=1  zpd=key selected zones, engaged mode, PD drawn
+  //   rev=1  rp=provider           reverse flag, routing provider
+  //   dl=  dt=  dw=                distribution label / site trips / route weights
+  //   v=lat,lon,zoom               map view
+  // Links are built from scratch, so ?orsKey, ?routingBase and any other
+  // parameter of the current page never end up in a shared URL.
+
+  const PARAMS = ['o', 'ol', 'pd', 'z', 'ze', 'zpd', 'rev', 'rp', 'dl', 'dt', 'dw', 'v'];
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const enc = (s) => encodeURIComponent(String(s));
+  const dec = (s) => { try { return decodeURIComponent(s); } catch { return s; } };
+
+  function nums(str, n) {
+    const out = String(str || '').split(',').slice(0, n).map(Number);
+    return out.length === n && out.every(Number.isFinite) ? out : null;
+  }
+
+  // ===== Snapshot -> URL =====
+  function buildLink(snap) {
+    snap = snap || global.AppState.snapshot();
+    const p = new URLSearchParams();
+
+    const o = snap.origin;
+    if (o && Number.isFinite(o.lat) && Number.isFinite(o.lon)) {
+      p.set('o', `${o.lat.toFixed(6)},${o.lon.toFixed(6)}`);
+      if (o.label) p.set('ol', String(o.label).replace(/<[^>]*>/g, '').trim());
+    }
+
+    const pds = (snap.pds || []).filter(r => r.checked);
+    if (pds.length) {
+      p.set('pd', pds.map(r => [enc(r.key), r.count || '1'].concat(r.percent ? [r.percent] : []).join(':')).join(','));
+    }
+
+    const z = snap.zones;
+    if (z) {
+      const pct = z.percents || {};
+      if (z.selected && z.selected.length) {
+        p.set('z', z.selected.map(id => enc(id) + (pct[id] ? ':' + pct[id] : '')).join(','));
+      }
+      if (z.engaged) {
+        p.set('ze', '1');
+        if (z.pdKey != null) p.set('zpd', z.pdKey);
+      }
+    }
+
+    const t = snap.trips;
+    if (t) {
+      if (t.reverse) p.set('rev', '1');
+      if (t.provider) p.set('rp', t.provider);
+      const d = t.distribution || {};
+      if (d.label) p.set('dl', d.label);
+      if (d.total) p.set('dt', d.total);
+      if (d.weights) p.set('dw', d.weights);
+    }
+
+    const v = snap.view;
+    if (v) p.set('v', `${v.lat},${v.lon},${v.zoom}`);
+
+    return location.origin + location.pathname + '?' + p.toString();
+  }
+
+  // ===== URL -> partial snapshot (null when the URL has no link params) =====
+  function parseLink(search) {
+    const p = new URLSearchParams(search);
+    if (!PARAMS.some(k => p.has(k))) return null;
+    const snap = {};
+
+    const o = nums(p.get('o'), 2);
+    if (o) snap.origin = { lat: o[0], lon: o[1], label: String(p.get('ol') || '').replace(/<[^>]*>/g, '').trim() };
+
+    if (p.has('pd')) {
+      snap.pds = p.get('pd').split(',').filter(Boolean).map(part => {
+        const [key, count, percent] = part.split(':');
+        return { key: dec(key), checked: true, count: count || '1', percent: percent || '' };
+      });
+    }
+
+    // Zones load after the link is read: the zones part drops ids it does not know
+    if (p.has('z') || p.has('ze')) {
+      const selected = [];
+      const percents = {};
+      String(p.get('z') || '').split(',').filter(Boolean).forEach(part => {
+        const [id, pct] = part.split(':');
+        selected.push(dec(id));
+        if (pct && Number.isFinite(Number(pct))) percents[dec(id)] = pct;
+      });
+      snap.zones = { selected, percents, engaged: p.get('ze') === '1', pdKey: p.get('zpd') };
+    }
+
+    if (['rev', 'rp', 'dl', 'dt', 'dw'].some(k => p.has(k))) {
+      snap.trips = {
+        reverse: p.get('rev') === '1',
+        provider: p.get('rp') || undefined,
+        distribution: {
+          label: p.get('dl') ?? undefined,
+          total: p.get('dt') ?? undefined,
+          weights: p.get('dw') ?? undefined
+        }
+      };
+    }
+
+    const v = nums(p.get('v'), 3);
+    if (v) snap.view = { lat: v[0], lon: v[1], zoom: v[2] };
+
+    return snap;
+  }
+
+  // ===== Trip Generator section =====
+  function copyLink() {
+    const url = buildLink();
+    const out = byId('rt-link-url');
+    if (out) {
+      out.value = url;
+      out.select();
+    }
+    const done = (msg) => { const el = byId('rt-link-status'); if (el) el.textContent = msg; };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url)
+        .then(() => done('Link copied. API keys are never included.'))
+        .catch(() => done('Copy the link above (clipboard not available).'));
+    } else {
+      done('Copy the link above (clipboard not available).');
+    }
+  }
+
+  function init() {
+    const snap = parseLink(location.search);
+    // Trip Generator parts register a tick after the control is added; AppState
+    // holds anything not registered yet until it is.
+    if (snap) global.AppState.restore(snap);
+
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Share link', `
+      <div class="routing-row" style="margin-top:0;">
+        <button id="rt-link-copy" type="button">Copy link</button>
+      </div>
+      <input id="rt-link-url" type="text" readonly placeholder="Link to this scenario" style="margin-top:6px;">
+      <small class="routing-hint" id="rt-link-status">
+        Origin, PDs and route counts, zones, reverse flag, zone mode and map view.
+      </small>
+    `, { id: 'rt-link-section' });
+    global.Routing.whenReady(() => {
+      const btn = byId('rt-link-copy');
+      if (btn) btn.onclick = copyLink;
+    });
+  }
+
+  global.Links = {
+    build: buildLink,
+    parse: parseLink
+  };
+
+  document.addEventListener('DOMContentLoaded', init);
+})(window);
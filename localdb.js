@@ -0,0 +1,61 @@
+(function (global) {
+  'use strict';
+
+  // Thin promise wrapper over one IndexedDB database for the app.
+  // Add a store by appending it to STORES and bumping DB_VERSION.
+
+  const DB_NAME = 'my-map';
+  const DB_VERSION = 2;
+  const STORES = [
+    { name: 'sessions', keyPath: 'id' },
+    { name: 'routes', keyPath: 'key' }   // v2: routing responses (routecache.js)
+  ];
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!global.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        STORES.forEach(s => {
+          if (!db.objectStoreNames.contains(s.name)) db.createObjectStore(s.name, { keyPath: s.keyPath });
+        });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer tab upgrade the schema; the next call reopens
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('Database upgrade blocked by another open tab.'));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  function run(store, mode, fn) {
+    return open().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    }));
+  }
+
+  global.LocalDB = {
+    get: (store, key) => run(store, 'readonly', s => s.get(key)),
+    all: (store) => run(store, 'readonly', s => s.getAll()),
+    count: (store) => run(store, 'readonly', s => s.count()),
+    put: (store, value) => run(store, 'readwrite', s => s.put(value)),
+    delete: (store, key) => run(store, 'readwrite', s => s.delete(key)),
+    clear: (store) => run(store, 'readwrite', s => s.clear())
+  };
+})(window);
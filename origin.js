@@ -0,0 +1,313 @@
+(function (global) {
+  'use strict';
+
+  // Site origin entry besides the geocoder: typed "lat, lon" or a zone ID, or
+  // a click on the map (script.js's pin is draggable onto the driveway).
+  //
+  // Site accesses: named driveways with a split %. When any are defined,
+  // routing.js routes every destination from each access and splits its %
+  // by the access shares: equal when every split is blank, otherwise each
+  // split over their sum (a blank split then gets no trips).
+
+  const S = {
+    map: null,
+    picking: null,      // { onPick(latlng) } while waiting for a map click
+    accesses: [],       // { name, lat, lon, pct: '' | number text, marker }
+    group: null
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function setText(id, msg) {
+    const el = byId(id);
+    if (el) el.textContent = msg || '';
+  }
+
+  const fmt = (ll) => `${ll.lat.toFixed(5)}, ${ll.lng.toFixed(5)}`;
+
+  // ===== Typed origin =====
+  // Extent of the PDs, to tell "lat, lon" from "lon, lat" when both fit ±90
+  function studyArea() {
+    const layers = Object.values(global.PD_REGISTRY || {}).map(r => r && r.layer).filter(Boolean);
+    if (!layers.length) return null;
+    const b = L.featureGroup(layers).getBounds();
+    return b.isValid() ? b.pad(0.5) : null;
+  }
+
+  function findZone(id) {
+    if (typeof global.getZonesByPD !== 'function') return null;
+    let hit = null;
+    global.getZonesByPD().forEach(zones => {
+      if (!hit) hit = zones.find(z => String(z.id) === id) || null;
+    });
+    return hit;
+  }
+
+  // "43.65, -79.38" / "-79.38 43.65" / zone ID -> { lat, lon, label }; throws on anything else
+  function parseOrigin(raw) {
+    const txt = String(raw || '').trim();
+    const parts = txt.split(/[,;\s]+/).filter(Boolean);
+    if (parts.length === 1) {
+      const zone = findZone(parts[0]);
+      if (!zone) throw new Error(`No zone "${parts[0]}".`);
+      const [lon, lat] = global.DestinationPoints
+        ? global.DestinationPoints.point('zone', zone.id, zone.feature)
+        : [zone.center.lng, zone.center.lat];
+      return { lat, lon, label: `Zone ${zone.id}` };
+    }
+    const nums = parts.map(Number);
+    if (parts.length !== 2 || nums.some(n => !Number.isFinite(n))) {
+      throw new Error('Enter "lat, lon" or a zone ID.');
+    }
+    let [lat, lon] = nums;
+    const area = studyArea();
+    const fits = (a, b) => Math.abs(a) <= 90 && Math.abs(b) <= 180 && (!area || area.contains([a, b]));
+    if (!fits(lat, lon) && fits(lon, lat)) [lat, lon] = [lon, lat];
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) throw new Error('Coordinates out of range.');
+    return { lat, lon, label: `${lat.toFixed(5)}, ${lon.toFixed(5)}` };
+  }
+
+  function setOriginFromInput() {
+    const inp = byId('rt-origin-input');
+    try {
+      const o = parseOrigin(inp && inp.value);
+      global._setOrigin(o);
+      S.map.panTo([o.lat, o.lon]);
+    } catch (e) {
+      setText('rt-origin-status', e.message);
+    }
+  }
+
+  function describeOrigin() {
+    const o = global.ROUTING_ORIGIN;
+    if (!o || !o.latlng) {
+      setText('rt-origin-status', 'No origin yet: search an address, type coordinates or pick on the map.');
+      return;
+    }
+    const at = fmt(L.latLng(o.latlng));
+    const label = typeof o.label === 'string' && o.label && o.label !== at ? `${o.label} (${at})` : at;
+    setText('rt-origin-status', `${label}. Drag the pin onto the driveway if needed.`);
+  }
+
+  // ===== Map picking =====
+  // Capture-phase click on the map container, so PD/zone polygons underneath
+  // do not also select themselves; clicks on the map controls pass through
+  function onPickClick(ev) {
+    if (!S.picking || ev.target.closest('.leaflet-control')) return;
+    ev.stopPropagation();
+    ev.preventDefault();
+    const latlng = S.map.mouseEventToLatLng(ev);
+    const pick = S.picking;
+    stopPicking();
+    pick.onPick(latlng);
+  }
+
+  function startPicking(onPick, hint, statusId) {
+    stopPicking();
+    S.picking = { onPick };
+    S.map.getContainer().classList.add('site-picking');
+    S.map.getContainer().addEventListener('click', onPickClick, true);
+    setText(statusId, hint);
+  }
+
+  function stopPicking() {
+    if (!S.picking) return;
+    S.picking = null;
+    S.map.getContainer().classList.remove('site-picking');
+    S.map.getContainer().removeEventListener('click', onPickClick, true);
+  }
+
+  // ===== Site accesses =====
+  // [{ name, lon, lat, share }] with shares summing to 1 ([] when none are defined)
+  function accesses() {
+    const pcts = splitPercents();
+    const sum = pcts.reduce((t, p) => t + (p || 0), 0);
+    return S.accesses
+      .map((a, i) => ({
+        name: a.name,
+        lon: a.lon,
+        lat: a.lat,
+        share: sum > 0 ? (pcts[i] || 0) / sum : 1 / S.accesses.length
+      }))
+      .filter(a => a.share > 0);
+  }
+
+  // Split % per access, null when blank or invalid
+  function splitPercents() {
+    return S.accesses.map(a => {
+      const txt = String(a.pct == null ? '' : a.pct).trim();
+      const n = Number(txt);
+      return txt !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+    });
+  }
+
+  function accessIcon(i) {
+    return L.divIcon({ className: 'site-access-pin', html: String(i + 1), iconSize: [20, 20] });
+  }
+
+  function drawAccesses() {
+    if (S.group) S.group.clearLayers();
+    else S.group = L.layerGroup().addTo(S.map);
+    S.accesses.forEach((a, i) => {
+      a.marker = L.marker([a.lat, a.lon], { draggable: true, icon: accessIcon(i), title: a.name })
+        .bindTooltip(escapeHtml(a.name))
+        .on('dragend', () => {
+          const ll = a.marker.getLatLng();
+          a.lat = ll.lat;
+          a.lon = ll.lng;
+        })
+        .addTo(S.group);
+    });
+  }
+
+  function renderAccesses() {
+    const box = byId('rt-access-list');
+    if (box) {
+      box.innerHTML = S.accesses.map((a, i) => `
+        <div class="site-access" data-i="${i}">
+          <span class="site-access-no">${i + 1}</span>
+          <input type="text" class="site-access-name" value="${escapeHtml(a.name)}" title="Access name">
+          <input type="number" class="site-access-pct" min="0" max="100" step="0.1" placeholder="%"
+                 value="${escapeHtml(a.pct)}" title="Share of site trips using this access (%)">
+          <span class="site-access-remove" title="Remove">×</span>
+        </div>`).join('');
+    }
+    drawAccesses();
+    summariseAccesses();
+  }
+
+  function summariseAccesses() {
+    if (S.picking) return;
+    const list = accesses();
+    if (!S.accesses.length) {
+      setText('rt-access-status', 'Optional: add driveways to route every destination from each one.');
+      return;
+    }
+    const sum = splitPercents().reduce((t, p) => t + (p || 0), 0);
+    const split = list.map(a => `${a.name} ${(a.share * 100).toFixed(1)}%`).join(' · ');
+    setText('rt-access-status', sum > 0 && Math.abs(sum - 100) > 0.05
+      ? `Splits add to ${sum.toFixed(1)}%; scaled to ${split}.`
+      : split);
+  }
+
+  function addAccess(latlng) {
+    const n = S.accesses.length + 1;
+    S.accesses.push({ name: `Access ${n}`, lat: latlng.lat, lon: latlng.lng, pct: '' });
+    if (!global.ROUTING_ORIGIN) global._setOrigin({ lat: latlng.lat, lon: latlng.lng, label: 'Site' });
+    renderAccesses();
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const btnSet = byId('rt-origin-set');
+    const btnPick = byId('rt-origin-pick');
+    const inp = byId('rt-origin-input');
+    const btnAdd = byId('rt-access-add');
+    const list = byId('rt-access-list');
+
+    if (btnSet) btnSet.onclick = setOriginFromInput;
+    if (inp) inp.onkeydown = (e) => { if (e.key === 'Enter') setOriginFromInput(); };
+    if (btnPick) {
+      btnPick.onclick = () => startPicking(
+        (ll) => global._setOrigin({ lat: ll.lat, lon: ll.lng, label: fmt(ll) }),
+        'Click the map where the site origin is.',
+        'rt-origin-status'
+      );
+    }
+    if (btnAdd) {
+      btnAdd.onclick = () => startPicking(addAccess, 'Click the map at the driveway.', 'rt-access-status');
+    }
+    if (list) {
+      list.oninput = (e) => {
+        const row = e.target.closest('.site-access');
+        const a = row && S.accesses[Number(row.dataset.i)];
+        if (!a) return;
+        if (e.target.classList.contains('site-access-name')) {
+          a.name = e.target.value.trim() || `Access ${Number(row.dataset.i) + 1}`;
+          if (a.marker) a.marker.setTooltipContent(escapeHtml(a.name));
+        }
+        if (e.target.classList.contains('site-access-pct')) a.pct = e.target.value.trim();
+        summariseAccesses();
+      };
+      list.onclick = (e) => {
+        if (!e.target.closest('.site-access-remove')) return;
+        S.accesses.splice(Number(e.target.closest('.site-access').dataset.i), 1);
+        renderAccesses();
+      };
+    }
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && S.picking) {
+        stopPicking();
+        describeOrigin();
+        summariseAccesses();
+      }
+    });
+    document.addEventListener('origin:changed', describeOrigin);
+
+    if (global.AppState) {
+      global.AppState.register('accesses', {
+        save: () => S.accesses.map(a => ({ name: a.name, lat: a.lat, lon: a.lon, pct: a.pct })),
+        load: (rows) => {
+          S.accesses = (rows || [])
+            .filter(r => r && Number.isFinite(Number(r.lat)) && Number.isFinite(Number(r.lon)))
+            .map((r, i) => ({
+              name: String(r.name || `Access ${i + 1}`),
+              lat: Number(r.lat),
+              lon: Number(r.lon),
+              pct: r.pct == null ? '' : String(r.pct)
+            }));
+          renderAccesses();
+        }
+      });
+    }
+    describeOrigin();
+    renderAccesses();
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Site origin', `
+      <label for="rt-origin-input" style="font-weight:600;">Origin</label>
+      <div class="routing-row" style="margin-top:4px;flex-wrap:nowrap;">
+        <input id="rt-origin-input" type="text" placeholder="lat, lon or zone ID">
+        <button id="rt-origin-set" type="button">Set</button>
+        <button id="rt-origin-pick" type="button" class="ghost" title="Click the map to place the origin">Pick</button>
+      </div>
+      <small class="routing-hint" id="rt-origin-status"></small>
+      <div style="font-weight:600;margin-top:8px;">Site accesses</div>
+      <div id="rt-access-list"></div>
+      <div class="routing-row">
+        <button id="rt-access-add" type="button">Add access</button>
+      </div>
+      <small class="routing-hint" id="rt-access-status"></small>
+    `, { id: 'rt-origin-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.SiteOrigin = {
+    parse: parseOrigin,
+    accesses,
+    // One map click -> onPick(latlng), shared with other modules (vias.js)
+    pick: startPicking,
+    cancelPick: stopPicking
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
@@ -0,0 +1,377 @@
+(function (global) {
+  'use strict';
+
+  // Every provider turns its native response into the ORS directions/geojson
+  // shape that ROUTING_CACHE and report.js read:
+  //   { type: 'FeatureCollection', features: [{ geometry: LineString,
+  //     properties: { summary, segments: [{ distance, duration, steps }] } }] }
+  // with metres, seconds and steps[].way_points indexing into the geometry.
+  //
+  // provider.route(req, ctx):
+  //   req = { origin: [lon, lat], destination: [lon, lat], count, profile, preference,
+  //           avoid: ['tollways' | 'highways'], vehicle: { height, width, length, weight, axleload } | null,
+  //           via: [[lon, lat]...] }
+  //   (metres / tonnes; vehicle only with driving-hgv). With via points the
+  //   route passes through them in order and no alternatives are asked for.
+  //   ctx = { base, request(path, { method, body }) -> Promise<json> }
+  //
+  // provider.matrix(req, ctx) is optional (travel time map):
+  //   req = { sources: [[lon, lat]...], destinations: [[lon, lat]...], profile, preference }
+  //   -> { durations, distances }, one row per source, seconds / metres, null
+  //      where a pair is unreachable (the ORS matrix shape)
+  //   provider.matrixLimit caps the locations (sources + destinations) of one
+  //   request; Routing.getMatrix splits larger requests to fit.
+  //
+  // provider.isochrones(req, ctx) is optional too:
+  //   req = { origin: [lon, lat], ranges: [seconds...], profile, reverse }
+  //   -> FeatureCollection of (Multi)Polygons with properties.value in seconds
+
+  const registry = new Map();
+
+  // ===== Small helpers =====
+  function isFiniteNum(n) { return Number.isFinite(n) && !Number.isNaN(n); }
+
+  function featureFrom(coords, steps, extra) {
+    const distance = steps.reduce((a, s) => a + (Number(s.distance) || 0), 0);
+    const duration = steps.reduce((a, s) => a + (Number(s.duration) || 0), 0);
+    return {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: coords },
+      properties: {
+        segments: [{ distance, duration, steps }],
+        summary: { distance, duration },
+        way_points: [0, Math.max(0, coords.length - 1)],
+        ...extra
+      }
+    };
+  }
+
+  // origin, via points, destination
+  function waypoints(req) {
+    return [req.origin, ...(req.via || []), req.destination];
+  }
+
+  function noRoute(msg) {
+    const err = new Error(msg || 'No route found');
+    err.code = 'NO_ROUTE';
+    return err;
+  }
+
+  // Google/Valhalla encoded polyline -> [[lon, lat], ...]
+  function decodePolyline(str, precision) {
+    const factor = Math.pow(10, precision);
+    const out = [];
+    let index = 0, lat = 0, lon = 0;
+    while (index < str.length) {
+      for (const which of [0, 1]) {
+        let shift = 0, result = 0, b;
+        do {
+          b = str.charCodeAt(index++) - 63;
+          result |= (b & 0x1f) << shift;
+          shift += 5;
+        } while (b >= 0x20);
+        const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+        if (which === 0) lat += delta; else lon += delta;
+      }
+      out.push([lon / factor, lat / factor]);
+    }
+    return out;
+  }
+
+  // ===== OpenRouteService (native shape, metres) =====
+  // options block for avoidances and HGV restrictions (directions + isochrones)
+  function orsOptions(req) {
+    const opts = {};
+    if (req.avoid && req.avoid.length) opts.avoid_features = req.avoid.slice();
+    if (req.profile === 'driving-hgv') {
+      opts.vehicle_type = 'hgv';
+      if (req.vehicle) opts.profile_params = { restrictions: { ...req.vehicle } };
+    }
+    return Object.keys(opts).length ? opts : null;
+  }
+
+  const ors = {
+    id: 'ors',
+    label: 'OpenRouteService (online)',
+    defaultBase: 'https://api.openrouteservice.org',
+    matrixLimit: 501,        // kept well under the 3500-pair quota
+    async route(req, ctx) {
+      const body = {
+        coordinates: waypoints(req),
+        preference: req.preference,
+        instructions: true,
+        instructions_format: 'html',
+        language: 'en',
+        geometry_simplify: false,
+        elevation: false
+      };
+      const options = orsOptions(req);
+      if (options) body.options = options;
+      if (req.count > 1 && !(req.via && req.via.length)) {
+        body.alternative_routes = {
+          target_count: Math.min(Math.max(1, req.count), 3),
+          share_factor: 0.6
+        };
+      }
+      const path = `/v2/directions/${req.profile}/geojson`;
+      try {
+        return await ctx.request(path, { method: 'POST', body });
+      } catch (e) {
+        // Handle ORS weird 2099 errors by trying swapped dest coords
+        const msg = String(e.message || '');
+        const is2099 = msg.includes('ORS 500') && (msg.includes('"code":2099') || msg.includes('code:2099'));
+        if (!is2099) throw e;
+        const d = req.destination;
+        return await ctx.request(path, { method: 'POST', body: { ...body, coordinates: [...body.coordinates.slice(0, -1), [d[1], d[0]]] } });
+      }
+    },
+    async matrix(req, ctx) {
+      const n = req.sources.length;
+      const json = await ctx.request(`/v2/matrix/${req.profile}`, {
+        method: 'POST',
+        body: {
+          locations: req.sources.concat(req.destinations),
+          sources: req.sources.map((_, i) => i),
+          destinations: req.destinations.map((_, i) => n + i),
+          metrics: ['duration', 'distance'],
+          units: 'm'
+        }
+      });
+      return { durations: json.durations || [], distances: json.distances || [] };
+    },
+    async isochrones(req, ctx) {
+      const body = {
+        locations: [req.origin],
+        range: req.ranges,
+        range_type: 'time',
+        location_type: req.reverse ? 'destination' : 'start'
+      };
+      const options = orsOptions(req);
+      if (options) body.options = options;
+      const json = await ctx.request(`/v2/isochrones/${req.profile}`, { method: 'POST', body });
+      return { type: 'FeatureCollection', features: json.features || [] };
+    }
+  };
+
+  // ===== OSRM (route/v1 with GeoJSON step geometries) =====
+  const OSRM_PROFILES = { 'driving-car': 'driving', 'driving-hgv': 'driving', 'cycling-regular': 'cycling', 'foot-walking': 'foot' };
+  const OSRM_EXCLUDE  = { tollways: 'toll', highways: 'motorway' };
+
+  // OSRM has no truck restrictions; avoidances map to its exclude classes
+  function osrmExclude(req) {
+    return (req.avoid || []).map(k => OSRM_EXCLUDE[k]).filter(Boolean).join(',');
+  }
+
+  function osrmRouteToFeature(route) {
+    const coords = [];
+    const steps = [];
+    (route.legs || []).forEach(leg => {
+      (leg.steps || []).forEach(st => {
+        const pts = (st.geometry && st.geometry.coordinates) || [];
+        const start = Math.max(0, coords.length - 1);
+        pts.forEach(p => {
+          const last = coords[coords.length - 1];
+          if (last && last[0] === p[0] && last[1] === p[1]) return; // shared joint
+          coords.push(p);
+        });
+        const m = st.maneuver || {};
+        const name = st.name || st.ref || '';
+        const verb = m.type === 'depart' ? 'Head' : m.type === 'arrive' ? 'Arrive' : 'Continue';
+        steps.push({
+          distance: st.distance,
+          duration: st.duration,
+          name,
+          instruction: m.type === 'arrive'
+            ? 'Arrive at destination'
+            : `${verb}${m.modifier ? ' ' + m.modifier : ''}${name ? ' onto ' + name : ''}`,
+          way_points: [start, Math.max(start, coords.length - 1)]
+        });
+      });
+    });
+    if (!coords.length && route.geometry && Array.isArray(route.geometry.coordinates)) {
+      coords.push(...route.geometry.coordinates);
+    }
+    const f = featureFrom(coords, steps, { provider: 'osrm' });
+    if (isFiniteNum(route.distance)) f.properties.summary.distance = route.distance;
+    if (isFiniteNum(route.duration)) f.properties.summary.duration = route.duration;
+    return f;
+  }
+
+  const osrm = {
+    id: 'osrm',
+    label: 'OSRM',
+    defaultBase: 'https://router.project-osrm.org',
+    matrixLimit: 100,        // osrm-routed --max-table-size default
+    async route(req, ctx) {
+      const profile = OSRM_PROFILES[req.profile] || 'driving';
+      const coords = waypoints(req).map(c => c[0] + ',' + c[1]).join(';');
+      const qs = new URLSearchParams({
+        overview: 'full',
+        geometries: 'geojson',
+        steps: 'true',
+        alternatives: req.count > 1 && !(req.via && req.via.length) ? String(Math.min(req.count, 3)) : 'false'
+      });
+      if (osrmExclude(req)) qs.set('exclude', osrmExclude(req));
+      const json = await ctx.request(`/route/v1/${profile}/${coords}?${qs}`);
+      if (json.code && json.code !== 'Ok') throw noRoute(`OSRM ${json.code}: ${json.message || ''}`.trim());
+      const routes = Array.isArray(json.routes) ? json.routes : [];
+      if (!routes.length) throw noRoute('OSRM returned no routes');
+      return { type: 'FeatureCollection', features: routes.slice(0, req.count).map(osrmRouteToFeature) };
+    },
+    async matrix(req, ctx) {
+      const profile = OSRM_PROFILES[req.profile] || 'driving';
+      const all = req.sources.concat(req.destinations);
+      const n = req.sources.length;
+      const qs = new URLSearchParams({
+        sources: req.sources.map((_, i) => i).join(';'),
+        destinations: req.destinations.map((_, i) => n + i).join(';'),
+        annotations: 'duration,distance'
+      });
+      if (osrmExclude(req)) qs.set('exclude', osrmExclude(req));
+      const json = await ctx.request(`/table/v1/${profile}/${all.map(c => c[0] + ',' + c[1]).join(';')}?${qs}`);
+      if (json.code && json.code !== 'Ok') throw new Error(`OSRM ${json.code}: ${json.message || ''}`.trim());
+      return { durations: json.durations || [], distances: json.distances || [] };
+    }
+  };
+
+  // ===== Valhalla (/route, polyline6 shape + maneuvers) =====
+  const VALHALLA_COSTING = { 'driving-car': 'auto', 'driving-hgv': 'truck', 'cycling-regular': 'bicycle', 'foot-walking': 'pedestrian' };
+  const VALHALLA_VEHICLE = { height: 'height', width: 'width', length: 'length', weight: 'weight', axleload: 'axle_load' };
+
+  // { costing, costing_options } for preference, avoidances and truck dimensions
+  function valhallaCosting(req) {
+    const costing = VALHALLA_COSTING[req.profile] || 'auto';
+    const opts = {};
+    if (req.preference === 'shortest') opts.shortest = true;
+    if ((req.avoid || []).includes('tollways')) opts.use_tolls = 0;
+    if ((req.avoid || []).includes('highways')) opts.use_highways = 0;
+    if (costing === 'truck' && req.vehicle) {
+      Object.keys(VALHALLA_VEHICLE).forEach(k => {
+        if (req.vehicle[k] != null) opts[VALHALLA_VEHICLE[k]] = req.vehicle[k];
+      });
+    }
+    return Object.keys(opts).length
+      ? { costing, costing_options: { [costing]: opts } }
+      : { costing };
+  }
+
+  function valhallaTripToFeature(trip) {
+    const coords = [];
+    const steps = [];
+    (trip.legs || []).forEach(leg => {
+      const offset = coords.length ? coords.length - 1 : 0;
+      const shape = decodePolyline(leg.shape || '', 6);
+      shape.forEach((p, i) => {
+        if (i === 0 && coords.length) return;
+        coords.push(p);
+      });
+      (leg.maneuvers || []).forEach(mv => {
+        const name = Array.isArray(mv.street_names) && mv.street_names.length ? mv.street_names[0] : '';
+        steps.push({
+          distance: (Number(mv.length) || 0) * 1000, // requested in km
+          duration: Number(mv.time) || 0,
+          name,
+          instruction: mv.instruction || '',
+          way_points: [offset + (mv.begin_shape_index || 0), offset + (mv.end_shape_index || 0)]
+        });
+      });
+    });
+    return featureFrom(coords, steps, { provider: 'valhalla' });
+  }
+
+  const valhalla = {
+    id: 'valhalla',
+    label: 'Valhalla',
+    defaultBase: 'https://valhalla1.openstreetmap.de',
+    matrixLimit: 50,         // sources_to_targets max_locations default
+    async route(req, ctx) {
+      // Via points are 'through' locations: passed without a stop or U-turn
+      const last = waypoints(req).length - 1;
+      const body = {
+        locations: waypoints(req).map((c, i) => ({ lon: c[0], lat: c[1], ...(i && i < last ? { type: 'through' } : {}) })),
+        ...valhallaCosting(req),
+        units: 'kilometers',
+        directions_options: { units: 'kilometers', language: 'en-US' }
+      };
+      if (req.count > 1 && last === 1) body.alternates = Math.min(req.count, 3) - 1;
+      const json = await ctx.request('/route', { method: 'POST', body });
+      if (!json.trip) throw noRoute(`Valhalla: ${json.error || 'no trip'}`);
+      const trips = [json.trip].concat((json.alternates || []).map(a => a.trip).filter(Boolean));
+      return { type: 'FeatureCollection', features: trips.slice(0, req.count).map(valhallaTripToFeature) };
+    },
+    async matrix(req, ctx) {
+      const json = await ctx.request('/sources_to_targets', {
+        method: 'POST',
+        body: {
+          sources: req.sources.map(c => ({ lon: c[0], lat: c[1] })),
+          targets: req.destinations.map(c => ({ lon: c[0], lat: c[1] })),
+          ...valhallaCosting(req),
+          units: 'kilometers'
+        }
+      });
+      const rows = json.sources_to_targets || [];
+      const cell = (c, k, scale) => (c && isFiniteNum(c[k]) ? c[k] * scale : null);
+      return {
+        durations: rows.map(row => row.map(c => cell(c, 'time', 1))),
+        distances: rows.map(row => row.map(c => cell(c, 'distance', 1000)))
+      };
+    },
+    async isochrones(req, ctx) {
+      const json = await ctx.request('/isochrone', {
+        method: 'POST',
+        body: {
+          locations: [{ lon: req.origin[0], lat: req.origin[1] }],
+          ...valhallaCosting(req),
+          contours: req.ranges.map(s => ({ time: s / 60 })),
+          polygons: true,
+          reverse: !!req.reverse
+        }
+      });
+      const features = (json.features || [])
+        .filter(f => f.geometry && /Polygon$/.test(f.geometry.type))
+        .map(f => ({ ...f, properties: { ...f.properties, value: Number(f.properties.contour) * 60 } }));
+      return { type: 'FeatureCollection', features };
+    }
+  };
+
+  // ===== Offline centrelines (already ORS-shaped) =====
+  const local = {
+    id: 'local',
+    label: 'Offline centrelines (no key)',
+    offline: true,
+    async route(req) {
+      if (!global.Centrelines) throw new Error('Offline router not loaded (centrelines.js missing).');
+      return global.Centrelines.route(req.origin, req.destination, {
+        count: req.count,
+        preference: req.preference,
+        avoid: req.avoid,
+        via: req.via
+      });
+    },
+    async matrix(req) {
+      if (!global.Centrelines) throw new Error('Offline router not loaded (centrelines.js missing).');
+      return global.Centrelines.matrix(req.sources, req.destinations, { preference: req.preference, avoid: req.avoid });
+    },
+    async isochrones(req) {
+      if (!global.Centrelines) throw new Error('Offline router not loaded (centrelines.js missing).');
+      return global.Centrelines.isochrones(req.origin, req.ranges, { avoid: req.avoid });
+    }
+  };
+
+  // ===== Registry =====
+  function register(provider) {
+    if (!provider || !provider.id || typeof provider.route !== 'function') {
+      throw new Error('Routing provider needs an id and a route() function');
+    }
+    registry.set(provider.id, provider);
+  }
+
+  [ors, osrm, valhalla, local].forEach(register);
+
+  global.RoutingProviders = {
+    register,
+    get: (id) => registry.get(id),
+    list: () => Array.from(registry.values()),
+    decodePolyline
+  };
+})(window);
@@ -24,8 +24,8 @@
     const lon2 = toRad(b[0]), lat2 = toRad(b[1]);
     const dLon = lon2 - lon1;
     const y = Math.sin(dLon) * Math.cos(lat2);
-    const x = Math.cos(lat1) * Math.cos(lat2) -
-              Math.sin(lat1) * Math.sin(lat2) * Math.cos(dLon);
+    const x = Math.cos(lat1) * Math.sin(lat2) -
+              Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
     let brng = Math.atan2(y, x) * 180 / Math.PI;
     if (!isFiniteNum(brng)) return 0;
     brng = (brng + 360) % 360;
@@ -43,6 +43,14 @@
     return (v || 0).toFixed(2);
   }
 
+  function veh1(v) {
+    return (v || 0).toFixed(1);
+  }
+
+  function pct1(v) {
+    return (v || 0).toFixed(1) + '%';
+  }
+
   function escapeHtml(str) {
     return String(str == null ? '' : str)
       .replace(/&/g, '&amp;')
@@ -145,6 +153,57 @@
     return mergeConsecutive(result);
   }
 
+  // Length of coords[i0..i1] in metres
+  function spanMeters(coords, i0, i1) {
+    let m = 0;
+    for (let i = i0 + 1; i <= i1; i++) m += haversineMeters(coords[i - 1], coords[i]);
+    return m;
+  }
+
+  // Build NB/EB/SB/WB rows from a centreline match (Centrelines.match runs).
+  // Matched runs carry the official Name + OGF_ID; stretches off the
+  // inventory fall back to the ORS step names that cover them.
+  function buildMovementsFromMatch(coords, steps, runs) {
+    if (!coords || !coords.length || !runs || !runs.length) return [];
+
+    const MIN_SEG_KM = 0.03;
+    const rows = [];
+    const push = (i0, i1, km, name, ogfId) => {
+      if (!isFiniteNum(km) || km < MIN_SEG_KM) return;
+      const dir = boundFrom(bearingDeg(coords[i0], coords[i1]));
+      rows.push({ dir, name, km, ogfIds: ogfId != null ? [ogfId] : [] });
+    };
+
+    for (const r of runs) {
+      if (r.f >= 0) {
+        push(r.i0, r.i1, r.m / 1000, r.name, r.ogfId);
+        continue;
+      }
+      let covered = false;
+      for (const step of (steps || [])) {
+        const wp = step.way_points || step.wayPoints || [];
+        const lo = Math.max(r.i0, wp[0] ?? 0);
+        const hi = Math.min(r.i1, wp[1] ?? (coords.length - 1));
+        if (hi <= lo) continue;
+        covered = true;
+        push(lo, hi, spanMeters(coords, lo, hi) / 1000, stepNameNatural(step) || 'Unnamed segment', null);
+      }
+      if (!covered) push(r.i0, r.i1, r.m / 1000, 'Unnamed segment', null);
+    }
+
+    const out = [];
+    for (const m of rows) {
+      const last = out[out.length - 1];
+      if (last && last.name === m.name && last.dir === m.dir) {
+        last.km += m.km;
+        m.ogfIds.forEach(id => { if (!last.ogfIds.includes(id)) last.ogfIds.push(id); });
+        continue;
+      }
+      out.push(m);
+    }
+    return out;
+  }
+
   function extractStepsFromFeature(feature) {
     if (!feature || !feature.properties) return [];
     const props = feature.properties;
@@ -159,18 +218,34 @@
     return out;
   }
 
-  // Build one or more tables for a single trip (PD/PZ, 1–3 routes)
-  function buildTablesForTrip(trip) {
+  // Street movements for one route; runs is set when matched to centrelines
+  function movementsForFeature(feat, opts = {}) {
+    const coords = feat && feat.geometry && Array.isArray(feat.geometry.coordinates)
+      ? feat.geometry.coordinates
+      : [];
+    const steps = extractStepsFromFeature(feat);
+    const runs = opts.match ? global.Centrelines.match(coords) : null;
+    const movs = runs
+      ? buildMovementsFromMatch(coords, steps, runs)
+      : buildMovementsFromDirections(coords, steps);
+    return { movs, runs };
+  }
+
+  // Alternatives dropped in the results panel (routing.js excludeRoute)
+  function isExcluded(trip, idx) {
+    return Array.isArray(trip.excluded) && trip.excluded.includes(idx);
+  }
+
+  // Build one or more tables for a single trip (PD/PZ, 1–3 routes).
+  // opts.match: use Centrelines.match rows (Name + OGF_ID) instead of step names.
+  function buildTablesForTrip(trip, opts = {}) {
     const pieces = [];
     const features = Array.isArray(trip.features) ? trip.features : [];
     if (!features.length) return '';
 
     features.forEach((feat, idx) => {
-      const coords = feat.geometry && Array.isArray(feat.geometry.coordinates)
-        ? feat.geometry.coordinates
-        : [];
-      const steps = extractStepsFromFeature(feat);
-      const movs = buildMovementsFromDirections(coords, steps);
+      if (isExcluded(trip, idx)) return;
+      const { movs, runs } = movementsForFeature(feat, opts);
       if (!movs.length) return;
 
       const props = feat.properties || {};
@@ -179,6 +254,9 @@
                       {};
       const distKm = Number(summary.distance) / 1000;
       const durMin = Number(summary.duration) / 60;
+      const routeVol = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+      const share = Array.isArray(trip.routeShares) ? trip.routeShares[idx] : null;
+      const hasVol = isFiniteNum(routeVol);
 
       const routeLabel =
         features.length === 1
@@ -186,70 +264,617 @@
           : (idx === 0 ? 'Route 1 (fastest)' : `Route ${idx + 1}`);
 
       const linesHtml = movs.map(m =>
-        `<tr><td>${escapeHtml(m.dir || '')}</td><td>${escapeHtml(m.name || '')}</td><td style="text-align:right">${km2(m.km)}</td></tr>`
+        `<tr><td>${escapeHtml(m.dir || '')}</td><td>${escapeHtml(m.name || '')}</td>` +
+        (runs ? `<td class="ogf">${m.ogfIds.length ? escapeHtml(m.ogfIds.join(', ')) : '—'}</td>` : '') +
+        `<td style="text-align:right">${km2(m.km)}</td>` +
+        (hasVol ? `<td style="text-align:right">${veh1(routeVol)}</td>` : '') +
+        '</tr>'
       ).join('');
 
       const metaPieces = [];
       if (isFiniteNum(distKm)) metaPieces.push(`${km2(distKm)} km`);
       if (isFiniteNum(durMin)) metaPieces.push(`${durMin.toFixed(1)} min`);
+      if (features.length > 1 && isFiniteNum(share)) metaPieces.push(`${pct1(share * 100)} of trips`);
+      if (hasVol) metaPieces.push(`${veh1(routeVol)} veh`);
       const meta = metaPieces.length ? metaPieces.join(' · ') : '';
+      const crossings = global.Screenlines ? global.Screenlines.crossings(feat, opts) : [];
+      const crossLine = crossings.length
+        ? 'Crosses: ' + crossings.map(c => `${c.name} ${c.dir} (${c.street})`).join(' → ')
+        : '';
 
       pieces.push(`
         <h3>${escapeHtml(routeLabel)}</h3>
         ${meta ? `<p class="meta">${escapeHtml(meta)}</p>` : ''}
+        ${crossLine ? `<p class="meta">${escapeHtml(crossLine)}</p>` : ''}
         <table>
-          <thead><tr><th>Dir</th><th>Street</th><th style="text-align:right">km</th></tr></thead>
+          <thead><tr><th>Dir</th><th>Street</th>${runs ? '<th>OGF_ID</th>' : ''}<th style="text-align:right">km</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}</tr></thead>
           <tbody>${linesHtml}</tbody>
         </table>
       `);
     });
 
+    if (Array.isArray(trip.excluded) && trip.excluded.length) {
+      const which = trip.excluded.map(i => `Route ${i + 1}`).join(', ');
+      pieces.push(`<p class="meta">${escapeHtml(which)} excluded from this report.</p>`);
+    }
     return pieces.join('');
   }
 
-  function buildCardsHtml(cache) {
+  // Flag for routes forced through via points (trip.via, set by routing.js)
+  function viaFlag(trip) {
+    const n = trip.via ? trip.via.length : 0;
+    if (!n) return '';
+    const pts = trip.via.map(p => `${Number(p[1]).toFixed(5)}, ${Number(p[0]).toFixed(5)}`).join(' → ');
+    return `<p class="meta flag">⚑ Manually constrained through ${n} via point${n === 1 ? '' : 's'} (${escapeHtml(pts)})</p>`;
+  }
+
+  // ===== Route snapshots (SVG from the cached geometries; no map tiles) =====
+  const SNAP_ROUTE_COLORS = ['#0b3aa5', '#2166f3', '#7aa7f7'];
+
+  function polygonRings(geom) {
+    if (!geom) return [];
+    if (geom.type === 'Polygon') return geom.coordinates || [];
+    if (geom.type === 'MultiPolygon') return [].concat(...(geom.coordinates || []));
+    return [];
+  }
+
+  // Outline rings of a PD ('pd') or zone ('zone') from script.js's layers
+  function outlineRings(kind, key) {
+    if (kind === 'pd') {
+      const reg = (global.PD_REGISTRY || {})[key];
+      const layer = reg && reg.layer;
+      const feat = layer && (layer.feature || (layer.toGeoJSON && layer.toGeoJSON()));
+      return polygonRings(feat && feat.geometry);
+    }
+    if (typeof global.getZonesByPD !== 'function') return [];
+    let rings = [];
+    global.getZonesByPD().forEach(zones => {
+      const z = !rings.length && zones.find(x => String(x.id) === String(key));
+      if (z) rings = polygonRings(z.feature && z.feature.geometry);
+    });
+    return rings;
+  }
+
+  // Equirectangular fit of [lon, lat] points into width × height, north up
+  function snapProjection(points, width, height, pad) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+      if (!isFiniteNum(x) || !isFiniteNum(y)) return;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    });
+    if (!isFiniteNum(minX)) return null;
+    const kx = Math.cos(toRad((minY + maxY) / 2));
+    const spanX = Math.max((maxX - minX) * kx, 1e-6);
+    const spanY = Math.max(maxY - minY, 1e-6);
+    const scale = Math.min((width - 2 * pad) / spanX, (height - 2 * pad) / spanY);
+    const offX = (width - spanX * scale) / 2;
+    const offY = (height - spanY * scale) / 2;
+    const project = ([x, y]) => [offX + (x - minX) * kx * scale, height - offY - (y - minY) * scale];
+    // metres per pixel, for the scale bar
+    project.metresPerPx = 111320 / scale;
+    return project;
+  }
+
+  // "M x y L ..." dropping vertices under half a pixel from the last one kept
+  function svgPathData(coords, project, close) {
+    let d = '';
+    let last = null;
+    coords.forEach((c, i) => {
+      const [x, y] = project(c);
+      if (last && i < coords.length - 1 && Math.abs(x - last[0]) < 0.5 && Math.abs(y - last[1]) < 0.5) return;
+      d += `${d ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`;
+      last = [x, y];
+    });
+    return d && close ? d + 'Z' : d;
+  }
+
+  function scaleBar(project, width, height) {
+    const target = project.metresPerPx * width / 5;
+    const steps = [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000];
+    const m = steps.reduce((best, s) => (s <= target ? s : best), steps[0]);
+    const px = m / project.metresPerPx;
+    const x = 10, y = height - 12;
+    const label = m >= 1000 ? `${m / 1000} km` : `${m} m`;
+    return `<g class="snap-scale"><path d="M${x} ${y - 4}V${y}H${(x + px).toFixed(1)}V${y - 4}" fill="none" stroke="#333" stroke-width="1.2"/>` +
+      `<text x="${(x + px + 4).toFixed(1)}" y="${y}">${label}</text></g>`;
+  }
+
+  // spec: { outlines: [{ rings, strong }], routes: [{ coords, rank }], markers: [{ at: [lon, lat], type: 'origin' | 'dest' | 'via' | 'point', label }] }
+  function snapshotSvg(spec, width, height) {
+    const pts = [];
+    spec.routes.forEach(r => pts.push(...r.coords));
+    spec.outlines.filter(o => o.strong).forEach(o => o.rings.forEach(ring => pts.push(...ring)));
+    spec.markers.forEach(m => pts.push(m.at));
+    const project = snapProjection(pts, width, height, 16);
+    if (!project) return '';
+
+    const outlines = spec.outlines.map(o => o.rings.map(ring =>
+      `<path d="${svgPathData(ring, project, true)}" class="${o.strong ? 'snap-area' : 'snap-context'}"/>`).join('')).join('');
+    // Alternatives first so the fastest route draws on top
+    const routes = spec.routes.slice().sort((a, b) => b.rank - a.rank).map(r =>
+      `<path d="${svgPathData(r.coords, project, false)}" fill="none" stroke="${SNAP_ROUTE_COLORS[Math.min(r.rank, 2)]}" ` +
+      `stroke-width="${r.rank ? 2 : 3}" stroke-linejoin="round" stroke-linecap="round"${r.rank ? ' stroke-opacity="0.85"' : ''}/>`).join('');
+    const markers = spec.markers.map(m => {
+      const [x, y] = project(m.at).map(v => v.toFixed(1));
+      const title = m.label ? `<title>${escapeHtml(m.label)}</title>` : '';
+      if (m.type === 'origin') return `<circle cx="${x}" cy="${y}" r="5" fill="#1a7f37" stroke="#fff" stroke-width="1.5">${title}</circle>`;
+      if (m.type === 'dest') return `<rect x="${x - 5}" y="${y - 5}" width="10" height="10" fill="#d40000" stroke="#fff" stroke-width="1.5">${title}</rect>`;
+      if (m.type === 'via') return `<path d="M${x} ${y - 5}l5 5l-5 5l-5 -5z" fill="#f0a000" stroke="#333" stroke-width="1">${title}</path>`;
+      return `<circle cx="${x}" cy="${y}" r="2.5" fill="#d40000">${title}</circle>`;
+    }).join('');
+    const labels = spec.markers.filter(m => m.label && m.type !== 'point').map(m => {
+      const [x, y] = project(m.at);
+      return `<text x="${(x + 8).toFixed(1)}" y="${(y + 4).toFixed(1)}">${escapeHtml(m.label)}</text>`;
+    }).join('');
+
+    return `<svg class="snap" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+      `<rect width="${width}" height="${height}" fill="#fff"/>${outlines}${routes}${markers}` +
+      `<g class="snap-labels">${labels}</g>${scaleBar(project, width, height)}</svg>`;
+  }
+
+  const keptRoutes = (trip) => (trip.features || [])
+    .map((feat, idx) => ({ coords: (feat.geometry && feat.geometry.coordinates) || [], rank: idx }))
+    .filter(r => r.coords.length > 1 && !isExcluded(trip, r.rank));
+
+  function endMarkers(trip) {
+    const at = (p) => [Number(p.lon), Number(p.lat)];
+    const out = [];
+    if (trip.origin) out.push({ at: at(trip.origin), type: 'origin', label: 'Origin' });
+    if (trip.destination) out.push({ at: at(trip.destination), type: 'dest', label: 'Destination' });
+    (trip.via || []).forEach((p, i) => out.push({ at: [p[0], p[1]], type: 'via', label: `Via ${i + 1}` }));
+    return out;
+  }
+
+  // Route(s) of one trip card over its PD or zone
+  function tripSnapshot(trip) {
+    const routes = keptRoutes(trip);
+    if (!routes.length) return '';
+    const rings = trip.type === 'PZ' ? outlineRings('zone', trip.key) : outlineRings('pd', trip.key);
+    const svg = snapshotSvg({ outlines: [{ rings, strong: true }], routes, markers: endMarkers(trip) }, 520, 300);
+    return svg ? `<div class="snap-wrap">${svg}</div>` : '';
+  }
+
+  // Every zone route of a zone-weighted PD over the PD and its zones
+  function zoneRollupSnapshot(trips) {
+    const first = trips[0];
+    const routes = [].concat(...trips.map(keptRoutes));
+    if (!routes.length) return '';
+    const outlines = [{ rings: outlineRings('pd', first.key), strong: true }]
+      .concat(Array.from(new Set(trips.map(t => t.zone))).map(z => ({ rings: outlineRings('zone', z), strong: false })));
+    const markers = [];
+    const sites = new Set();
+    trips.forEach(t => {
+      const site = t.reverse ? t.destination : t.origin;
+      const end = t.reverse ? t.origin : t.destination;
+      const k = site ? `${site.lon},${site.lat}` : '';
+      if (site && !sites.has(k)) {
+        sites.add(k);
+        markers.push({ at: [Number(site.lon), Number(site.lat)], type: 'origin', label: t.access || 'Site' });
+      }
+      if (end) markers.push({ at: [Number(end.lon), Number(end.lat)], type: 'point', label: `Zone ${t.zone}` });
+    });
+    const svg = snapshotSvg({ outlines, routes, markers }, 520, 300);
+    return svg ? `<div class="snap-wrap">${svg}</div>` : '';
+  }
+
+  // Opening map: all routes over the PDs, site(s) and destinations marked
+  function buildOverviewMap(cache) {
+    const trips = cache.trips || [];
+    const routes = [].concat(...trips.map(keptRoutes));
+    if (!routes.length) return '';
+    const used = new Set(trips.filter(t => t.type !== 'PZ').map(t => String(t.key)));
+    const outlines = Object.keys(global.PD_REGISTRY || {}).map(key => ({
+      rings: outlineRings('pd', key),
+      strong: used.has(String(key))
+    }));
+    trips.filter(t => t.type === 'PZ').forEach(t => outlines.push({ rings: outlineRings('zone', t.key), strong: true }));
+    const markers = [];
+    const seen = new Set();
+    trips.forEach(t => {
+      const site = t.reverse ? t.destination : t.origin;
+      const end = t.reverse ? t.origin : t.destination;
+      [[site, 'origin', t.access || 'Site'], [end, 'point', t.name || t.label || t.key]].forEach(([p, type, label]) => {
+        const k = p && `${type}:${p.lon},${p.lat}`;
+        if (!p || seen.has(k)) return;
+        seen.add(k);
+        markers.push({ at: [Number(p.lon), Number(p.lat)], type, label });
+      });
+    });
+    const svg = snapshotSvg({ outlines, routes, markers }, 720, 480);
+    if (!svg) return '';
+    return `
+      <div class="card">
+        <h2>Overview</h2>
+        <div class="snap-wrap">${svg}</div>
+        <p class="meta">${routes.length} route(s) to ${trips.length} destination(s). Dark blue: fastest route; lighter blues: alternatives.
+          Green dot: site; red dots: destination points. Shaded: destination PDs/zones.</p>
+      </div>
+    `;
+  }
+
+  // ===== Zone-weighted PDs (routing.js 'PDZ' mode: one trip per zone, tagged trip.zone) =====
+  function groupZoneTrips(trips) {
+    const groups = new Map();
+    (trips || []).forEach(t => {
+      if (t.zone == null) return;
+      if (!groups.has(t.key)) groups.set(t.key, []);
+      groups.get(t.key).push(t);
+    });
+    return groups;
+  }
+
+  function routeSummary(feat) {
+    const props = (feat && feat.properties) || {};
+    const summary = props.summary || (Array.isArray(props.segments) && props.segments[0]) || {};
+    return { km: Number(summary.distance) / 1000, min: Number(summary.duration) / 60 };
+  }
+
+  // One card per PD: the zone routes' movements merged per street and
+  // direction, each with the share of the PD's routed trips that use it
+  function buildZoneRollupCard(trips, cache, opts = {}) {
+    const first = trips[0];
+    const title = first.name || first.key || 'Planning District';
+    const hasVol = trips.some(t => isFiniteNum(t.volume));
+    // A zone route's weight in the PD: its zone share × its site access share
+    const weightOf = (t) => (t.zoneShare || 0) * (isFiniteNum(t.accessShare) ? t.accessShare : 1);
+    const routed = trips.reduce((a, t) => a + weightOf(t), 0) || 1;
+    const viaAccess = trips.some(t => t.access);
+    const pct = trips.reduce((a, t) => a + (isFiniteNum(t.percent) ? t.percent : 0), 0);
+    const vol = trips.reduce((a, t) => a + (isFiniteNum(t.volume) ? t.volume : 0), 0);
+    const missing = (cache.failures || []).filter(f => f.item && f.item.zone != null && f.item.key === first.key).length;
+
+    let avgKm = 0;
+    let avgMin = 0;
+    const rows = new Map();
+    trips.forEach(trip => {
+      const w = weightOf(trip) / routed;
+      const r1 = routeSummary(trip.features && trip.features[0]);
+      if (isFiniteNum(r1.km)) avgKm += w * r1.km;
+      if (isFiniteNum(r1.min)) avgMin += w * r1.min;
+      (trip.features || []).forEach((feat, idx) => {
+        if (isExcluded(trip, idx)) return;
+        const rs = Array.isArray(trip.routeShares) ? trip.routeShares[idx] : 1;
+        const rv = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+        const seen = new Set();
+        movementsForFeature(feat, opts).movs.forEach(m => {
+          const k = m.name + '|' + m.dir;
+          if (seen.has(k)) return;
+          seen.add(k);
+          let row = rows.get(k);
+          if (!row) {
+            row = { dir: m.dir, name: m.name, share: 0, veh: 0 };
+            rows.set(k, row);
+          }
+          row.share += w * rs;
+          row.veh += isFiniteNum(rv) ? rv : 0;
+        });
+      });
+    });
+
+    const site = ((first.reverse ? first.destination : first.origin) || {}).label || 'Origin';
+    const zonesTxt = `${trips.length} zone${trips.length === 1 ? '' : 's'}`;
+    const metaLine = first.reverse
+      ? `${zonesTxt} → ${site} (Destination → Origin)`
+      : `${site} → ${zonesTxt} (Origin → Destination)`;
+    const distPieces = [];
+    if (trips.some(t => isFiniteNum(t.percent))) distPieces.push(`Distribution: ${pct1(pct)}`);
+    if (hasVol) distPieces.push(`${veh1(vol)} veh`);
+    const weightLine = `Zones weighted by ${first.weightBy && first.weightBy !== 'equal'
+      ? (first.weightBy === 'percent' ? 'zone %' : String(first.weightBy).replace(/^attr:/, ''))
+      : 'equal shares'} · average ${km2(avgKm)} km, ${avgMin.toFixed(1)} min` +
+      (missing ? ` · ${missing} zone(s) missing, see below` : '');
+
+    const movRows = Array.from(rows.values())
+      .sort((a, b) => b.share - a.share || a.name.localeCompare(b.name))
+      .map(r => `<tr><td>${escapeHtml(r.dir || '')}</td><td>${escapeHtml(r.name || '')}</td>` +
+        `<td style="text-align:right">${pct1(r.share * 100)}</td>` +
+        (hasVol ? `<td style="text-align:right">${veh1(r.veh)}</td>` : '') + '</tr>')
+      .join('');
+
+    const constrained = trips.filter(t => t.via && t.via.length).map(t => t.zone);
+    const zoneRows = trips.map(t => {
+      const r1 = routeSummary(t.features && t.features[0]);
+      return `<tr><td>${escapeHtml(t.zone)}${t.via && t.via.length ? ' ⚑' : ''}</td>` +
+        (viaAccess ? `<td>${escapeHtml(t.access || '')}</td>` : '') +
+        `<td style="text-align:right">${pct1(weightOf(t) / routed * 100)}</td>` +
+        `<td style="text-align:right">${isFiniteNum(r1.km) ? km2(r1.km) : '—'}</td>` +
+        `<td style="text-align:right">${isFiniteNum(r1.min) ? r1.min.toFixed(1) : '—'}</td>` +
+        (hasVol ? `<td style="text-align:right">${isFiniteNum(t.volume) ? veh1(t.volume) : '—'}</td>` : '') + '</tr>';
+    }).join('');
+
+    return `
+      <div class="card">
+        <h2>${escapeHtml(title)}</h2>
+        <p class="meta">${escapeHtml(metaLine)}</p>
+        ${distPieces.length ? `<p class="meta">${escapeHtml(distPieces.join(' · '))}</p>` : ''}
+        <p class="meta">${escapeHtml(weightLine)}</p>
+        ${constrained.length ? `<p class="meta flag">⚑ Manually constrained with via points: zone ${escapeHtml(Array.from(new Set(constrained)).join(', '))}</p>` : ''}
+        ${zoneRollupSnapshot(trips)}
+        <h3>Movements (all zone routes)</h3>
+        <table>
+          <thead><tr><th>Dir</th><th>Street</th><th style="text-align:right">% of trips</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}</tr></thead>
+          <tbody>${movRows}</tbody>
+        </table>
+        <h3>Zones</h3>
+        <table>
+          <thead><tr><th>Zone</th>${viaAccess ? '<th>Access</th>' : ''}<th style="text-align:right">Share</th><th style="text-align:right">km</th><th style="text-align:right">min</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}</tr></thead>
+          <tbody>${zoneRows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function buildCardsHtml(cache, opts = {}) {
     if (!cache || !Array.isArray(cache.trips) || !cache.trips.length) return '';
 
+    const zoneGroups = groupZoneTrips(cache.trips);
+    const done = new Set();
     return cache.trips.map((trip) => {
+      if (trip.zone != null) {
+        if (done.has(trip.key)) return '';
+        done.add(trip.key);
+        return buildZoneRollupCard(zoneGroups.get(trip.key), cache, opts);
+      }
       const isPD = trip.type === 'PD';
-      const title = isPD
+      const title = (isPD
         ? (trip.name || trip.key || 'Planning District')
-        : (trip.label || 'Planning Zone');
+        : (trip.label || 'Planning Zone')) + (trip.access ? ` via ${trip.access}` : '');
 
       const originLabel = trip.origin && (trip.origin.label || `${trip.origin.lon},${trip.origin.lat}`) || '';
       const destLabel   = trip.destination && (trip.destination.label || `${trip.destination.lon},${trip.destination.lat}`) || '';
       const dirLabel    = trip.reverse ? 'Destination → Origin' : 'Origin → Destination';
 
-      const pathsHtml = buildTablesForTrip(trip);
+      const pathsHtml = buildTablesForTrip(trip, opts);
       if (!pathsHtml) return '';
 
       const metaLine = originLabel && destLabel
         ? `${originLabel} → ${destLabel} (${dirLabel})`
         : '';
 
+      const distPieces = [];
+      if (isFiniteNum(trip.percent)) distPieces.push(`Distribution: ${pct1(trip.percent)}`);
+      if (isFiniteNum(trip.volume)) distPieces.push(`${veh1(trip.volume)} veh`);
+      const distLine = distPieces.join(' · ');
+
       return `
         <div class="card">
           <h2>${escapeHtml(title)}</h2>
           ${metaLine ? `<p class="meta">${escapeHtml(metaLine)}</p>` : ''}
+          ${distLine ? `<p class="meta">${escapeHtml(distLine)}</p>` : ''}
+          ${viaFlag(trip)}
+          ${tripSnapshot(trip)}
           ${pathsHtml}
         </div>
       `;
     }).join('');
   }
 
-  function printReport() {
-    const cache = global.ROUTING_CACHE;
-    if (!cache || !cache.trips || !cache.trips.length) {
-      alert('No trips available. Please generate trips first.');
-      return;
-    }
+  // Trips of one destination split by zone (zone-weighted PD) or by site
+  // access, summed back into one row ({ ..., zones: n, accesses: n })
+  function collapseSplitTrips(trips) {
+    const out = [];
+    const groups = new Map();
+    trips.forEach(t => {
+      if (t.zone == null && !t.access) {
+        out.push(t);
+        return;
+      }
+      const k = t.type + '|' + t.key;
+      let row = groups.get(k);
+      if (!row) {
+        row = { type: t.type, key: t.key, name: t.name, label: t.label, percent: null, volume: null, zoneIds: new Set(), accessNames: new Set() };
+        groups.set(k, row);
+        out.push(row);
+      }
+      if (t.zone != null) row.zoneIds.add(t.zone);
+      if (t.access) row.accessNames.add(t.access);
+      if (isFiniteNum(t.percent)) row.percent = (row.percent || 0) + t.percent;
+      if (isFiniteNum(t.volume)) row.volume = (row.volume || 0) + t.volume;
+    });
+    return out.map(r => r.zoneIds ? { ...r, zones: r.zoneIds.size, accesses: r.accessNames.size } : r);
+  }
 
-    const cardsHtml = buildCardsHtml(cache);
-    if (!cardsHtml) {
-      alert('Unable to build report. Trip data is missing or incomplete.');
-      return;
-    }
+  // Summary of % and volumes per destination (empty when nothing was distributed)
+  function buildDistributionSummary(cache) {
+    const dist = cache.distribution || {};
+    const trips = collapseSplitTrips(cache.trips || []).filter(t => isFiniteNum(t.percent));
+    if (!trips.length && !isFiniteNum(dist.total)) return '';
+
+    const totalPct = trips.reduce((a, t) => a + t.percent, 0);
+    const totalVol = trips.reduce((a, t) => a + (isFiniteNum(t.volume) ? t.volume : 0), 0);
+    const hasVol = isFiniteNum(dist.total);
+
+    const head = [];
+    if (dist.label) head.push(dist.label);
+    if (hasVol) head.push(`${veh1(dist.total)} veh site trips`);
+    head.push(`${pct1(totalPct)} distributed`);
+    if (Array.isArray(dist.weights)) head.push(`route split ${dist.weights.join(' / ')}`);
+
+    const rows = trips.map(t => `
+      <tr>
+        <td>${escapeHtml(t.type === 'PD' ? (t.name || t.key) : (t.label || t.key))}</td>
+        <td style="text-align:right">${pct1(t.percent)}</td>
+        ${hasVol ? `<td style="text-align:right">${veh1(t.volume)}</td>` : ''}
+        <td>${t.zoneIds
+          ? [t.zones ? `${t.zones} zones` : '', t.accesses ? `${t.accesses} accesses` : ''].filter(Boolean).join(' · ')
+          : (t.routeVolumes || t.routeShares || []).map((v, i) => (isExcluded(t, i) ? '' :
+            hasVol ? `R${i + 1}: ${veh1(v)}` : `R${i + 1}: ${pct1(v * 100)}`)).filter(Boolean).join(' · ')}</td>
+      </tr>`).join('');
+
+    return `
+      <div class="card">
+        <h2>Trip distribution</h2>
+        <p class="meta">${escapeHtml(head.join(' · '))}</p>
+        ${trips.length ? `
+        <table>
+          <thead><tr><th>Destination</th><th style="text-align:right">%</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}<th>By route</th></tr></thead>
+          <tbody>${rows}
+            <tr><th style="text-align:left">Total</th><th style="text-align:right">${pct1(totalPct)}</th>${hasVol ? `<th style="text-align:right">${veh1(totalVol)}</th>` : ''}<th></th></tr>
+          </tbody>
+        </table>` : ''}
+      </div>
+    `;
+  }
+
+  // Routes and volumes across each screenline/cordon by direction and street (screenlines.js)
+  function buildScreenlineSummary(cache, opts = {}) {
+    const SL = global.Screenlines;
+    const items = SL ? SL.list() : [];
+    if (!items.length) return '';
+    const { rows, hasVol } = SL.summarise(cache, opts);
+    const cols = hasVol ? 5 : 4;
 
+    const body = items.map((item, k) => {
+      const mine = rows.filter(r => r.item === k);
+      const head = `<tr class="group"><th colspan="${cols}" style="text-align:left">` +
+        `${escapeHtml(item.name)} <small>(${escapeHtml(SL.KINDS[item.kind].toLowerCase())})</small></th></tr>`;
+      if (!mine.length) return head + `<tr><td colspan="${cols}">No route crosses it.</td></tr>`;
+      const dirs = Array.from(new Set(mine.map(r => r.dir)));
+      return head + dirs.map(dir => {
+        const list = mine.filter(r => r.dir === dir);
+        const routes = list.reduce((a, r) => a + r.routes, 0);
+        const veh = list.reduce((a, r) => a + r.veh, 0);
+        return list.map(r =>
+          `<tr><td>${escapeHtml(dir)}</td><td>${escapeHtml(r.street)}</td>` +
+          `<td style="text-align:right">${r.routes}</td>` +
+          (hasVol ? `<td style="text-align:right">${veh1(r.veh)}</td>` : '') + '</tr>'
+        ).join('') +
+          `<tr><td><strong>${escapeHtml(dir)}</strong></td><td><strong>Total</strong></td>` +
+          `<td style="text-align:right"><strong>${routes}</strong></td>` +
+          (hasVol ? `<td style="text-align:right"><strong>${veh1(veh)}</strong></td>` : '') + '</tr>';
+      }).join('');
+    }).join('');
+
+    return `
+      <div class="card">
+        <h2>Screenline crossings</h2>
+        <p class="meta">Each route counts once per crossing; volumes are the distributed veh on that route.</p>
+        <table>
+          <thead><tr><th>Dir</th><th>Street</th><th style="text-align:right">Routes</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Split of the run over the site accesses (empty without accesses)
+  function buildAccessSummary(cache) {
+    const list = cache.accesses || [];
+    if (!list.length) return '';
+    const trips = cache.trips || [];
+    const hasVol = trips.some(t => isFiniteNum(t.volume));
+    const rows = list.map(a => {
+      const mine = trips.filter(t => t.access === a.name);
+      const pct = mine.reduce((s, t) => s + (isFiniteNum(t.percent) ? t.percent : 0), 0);
+      const vol = mine.reduce((s, t) => s + (isFiniteNum(t.volume) ? t.volume : 0), 0);
+      return `
+      <tr>
+        <td>${escapeHtml(a.name)}</td>
+        <td style="text-align:right">${isFiniteNum(a.share) ? pct1(a.share * 100) : '—'}</td>
+        <td style="text-align:right">${mine.some(t => isFiniteNum(t.percent)) ? pct1(pct) : '—'}</td>
+        ${hasVol ? `<td style="text-align:right">${veh1(vol)}</td>` : ''}
+        <td style="text-align:right">${mine.length}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+      <div class="card">
+        <h2>Site accesses</h2>
+        <p class="meta">Every destination was routed from each access; its % is split by the access share.</p>
+        <table>
+          <thead><tr><th>Access</th><th style="text-align:right">Split</th><th style="text-align:right">% routed</th>${hasVol ? '<th style="text-align:right">veh</th>' : ''}<th style="text-align:right">Trips</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Destinations the run could not route (cache.failures, kept by routing.js)
+  function buildMissingNote(cache) {
+    const missing = cache.failures || [];
+    if (!missing.length) return '';
+    const pct = missing.reduce((a, f) => a + (isFiniteNum(f.item && f.item.percent) ? f.item.percent : 0), 0);
+    const rows = missing.map(f => {
+      const item = f.item || {};
+      return `
+      <tr>
+        <td>${escapeHtml((item.name || item.label || item.key || 'Destination') + (item.access ? ` via ${item.access.name}` : ''))}</td>
+        <td style="text-align:right">${isFiniteNum(item.percent) ? pct1(item.percent) : '—'}</td>
+        <td>${escapeHtml(f.reason || 'Routing error')}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+      <div class="card">
+        <h2>Missing destinations</h2>
+        <p class="meta">${missing.length} destination(s) could not be routed and are not in this report` +
+          `${pct ? ` (${pct1(pct)} of the distribution is unassigned)` : ''}.</p>
+        <table>
+          <thead><tr><th>Destination</th><th style="text-align:right">%</th><th>Reason</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // Every route's movements summed per street and direction.
+  // Routes add their assigned veh, or count 1 each when no site total was given.
+  function buildAssignedVolumesTable(cache, opts = {}) {
+    const DIRS = ['NB', 'EB', 'SB', 'WB'];
+    const byStreet = new Map();
+    let hasVol = false;
+
+    (cache.trips || []).forEach(trip => {
+      (trip.features || []).forEach((feat, idx) => {
+        if (isExcluded(trip, idx)) return;
+        const vol = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+        if (isFiniteNum(vol)) hasVol = true;
+        const seen = new Set();
+        movementsForFeature(feat, opts).movs.forEach(m => {
+          const k = m.name + '|' + m.dir;
+          if (seen.has(k)) return; // a route loads each street/direction once
+          seen.add(k);
+          let row = byStreet.get(m.name);
+          if (!row) {
+            row = { name: m.name, vol: { NB: 0, EB: 0, SB: 0, WB: 0 }, routes: { NB: 0, EB: 0, SB: 0, WB: 0 } };
+            byStreet.set(m.name, row);
+          }
+          row.vol[m.dir] += isFiniteNum(vol) ? vol : 0;
+          row.routes[m.dir] += 1;
+        });
+      });
+    });
+    if (!byStreet.size) return '';
+
+    const metric = hasVol ? 'vol' : 'routes';
+    const fmt = hasVol ? veh1 : (v) => String(v);
+    const rows = Array.from(byStreet.values())
+      .map(r => ({ ...r, total: DIRS.reduce((a, d) => a + r[metric][d], 0) }))
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    const body = rows.map(r => `
+      <tr>
+        <td>${escapeHtml(r.name)}</td>
+        ${DIRS.map(d => `<td style="text-align:right">${r[metric][d] ? fmt(r[metric][d]) : '—'}</td>`).join('')}
+        <td style="text-align:right"><strong>${fmt(r.total)}</strong></td>
+      </tr>`).join('');
+
+    return `
+      <div class="card">
+        <h2>Assigned volumes by street</h2>
+        <p class="meta">${hasVol ? 'Vehicles assigned per direction, summed over all routes.' : 'Routes using each street per direction (no site trip total entered).'}</p>
+        <table>
+          <thead><tr><th>Street</th>${DIRS.map(d => `<th style="text-align:right">${d}</th>`).join('')}<th style="text-align:right">Total</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function reportHtml(cache, cardsHtml, opts = {}) {
     const css = `
       <style>
         * { box-sizing: border-box; }
@@ -288,6 +913,45 @@
         thead th {
           background: #f7f7f7;
         }
+        tr.group th {
+          background: #fafafa;
+        }
+        p.meta.flag {
+          color: #a04000;
+          font-weight: 600;
+        }
+        td.ogf {
+          font-family: ui-monospace, Menlo, Consolas, monospace;
+          font-size: 11px;
+          color: #444;
+        }
+        .snap-wrap {
+          margin: 6px 0 10px 0;
+        }
+        svg.snap {
+          display: block;
+          max-width: 100%;
+          height: auto;
+          border: 1px solid #ddd;
+        }
+        svg.snap .snap-area {
+          fill: #ff6600;
+          fill-opacity: 0.08;
+          stroke: #ff6600;
+          stroke-width: 1.2;
+        }
+        svg.snap .snap-context {
+          fill: none;
+          stroke: #bbb;
+          stroke-width: 0.6;
+        }
+        svg.snap text {
+          font: 10px ui-sans-serif, system-ui, sans-serif;
+          fill: #222;
+          paint-order: stroke;
+          stroke: #fff;
+          stroke-width: 3px;
+        }
         .card {
           page-break-inside: avoid;
           margin-bottom: 22px;
@@ -297,29 +961,104 @@
       </style>
     `;
 
-    const w = window.open('', '_blank');
-    if (!w) {
-      alert('Popup blocked. Please allow popups for this site to print the report.');
-      return;
-    }
-
     const title = cache.mode === 'PZ'
       ? 'Zone Trip Street Report'
       : 'PD Trip Street Report';
 
-    w.document.write(
+    // Travel options the trips were routed with (routing.js stores them per trip)
+    const routeOpts = cache.options || (cache.trips && cache.trips[0] && cache.trips[0].options);
+    const optionsNote = routeOpts && global.Routing && global.Routing.describeRouteOptions
+      ? '<p class="meta">Routing: ' + escapeHtml(global.Routing.describeRouteOptions(routeOpts)) + '</p>'
+      : '';
+
+    // Routes forced through via points (vias.js)
+    const constrained = (cache.trips || []).filter(t => t.via && t.via.length);
+    const viaNote = constrained.length
+      ? `<p class="meta flag">${constrained.length} route(s) manually constrained with via points; flagged below.</p>`
+      : '';
+    const excludedCount = (cache.trips || []).reduce((n, t) => n + (Array.isArray(t.excluded) ? t.excluded.length : 0), 0);
+    const excludedNote = excludedCount
+      ? `<p class="meta">${excludedCount} alternative route(s) excluded in the results panel; their trips moved to the remaining routes.</p>`
+      : '';
+
+    // PD/zone point strategy (destinations.js)
+    const destLabel = cache.destinations && global.DestinationPoints && global.DestinationPoints.STRATEGIES[cache.destinations];
+    const destNote = destLabel ? '<p class="meta">Destination points: ' + escapeHtml(destLabel) + '</p>' : '';
+
+    const matchNote = opts.match
+      ? '<p class="meta">Streets matched to the official centreline inventory (data/highway_centrelines.json). ' +
+        'Rows without an OGF_ID are off the inventory and use routing instruction names.</p>'
+      : '';
+
+    return (
       '<!doctype html><html><head><meta charset="utf-8">' +
       '<title>' + escapeHtml(title) + '</title>' +
       css +
       '</head><body>' +
       '<h1>' + escapeHtml(title) + '</h1>' +
+      optionsNote +
+      destNote +
+      viaNote +
+      excludedNote +
+      matchNote +
+      buildOverviewMap(cache) +
+      buildMissingNote(cache) +
+      buildDistributionSummary(cache) +
+      buildAccessSummary(cache) +
+      buildAssignedVolumesTable(cache, opts) +
+      buildScreenlineSummary(cache, opts) +
       cardsHtml +
       '<script>window.onload = function(){ window.print(); }<\/script>' +
       '</body></html>'
     );
+  }
+
+  function writeReport(w, html) {
+    w.document.open();
+    w.document.write(html);
     w.document.close();
   }
 
+  function printReport() {
+    const cache = global.ROUTING_CACHE;
+    const hasTrips = !!(cache && cache.trips && cache.trips.length);
+    // A run where every destination failed still prints its missing destinations
+    if (!hasTrips && !(cache && cache.failures && cache.failures.length)) {
+      alert('No trips available. Please generate trips first.');
+      return;
+    }
+
+    const cardsHtml = buildCardsHtml(cache);
+    if (hasTrips && !cardsHtml) {
+      alert('Unable to build report. Trip data is missing or incomplete.');
+      return;
+    }
+
+    const w = window.open('', '_blank');
+    if (!w) {
+      alert('Popup blocked. Please allow popups for this site to print the report.');
+      return;
+    }
+
+    const useMatch = !!document.getElementById('rt-report-match')?.checked && !!global.Centrelines;
+    if (!useMatch) {
+      writeReport(w, reportHtml(cache, cardsHtml));
+      return;
+    }
+
+    // Window is opened synchronously (popup blockers); fill it once the centrelines are in
+    w.document.write('<p style="font:14px system-ui,sans-serif">Matching routes to centrelines…</p>');
+    global.Centrelines.load()
+      .then(() => {
+        const matched = buildCardsHtml(cache, { match: true }) || cardsHtml;
+        writeReport(w, reportHtml(cache, matched, { match: true }));
+      })
+      .catch(err => {
+        console.warn('Centreline matching unavailable, using step names:', err);
+        writeReport(w, reportHtml(cache, cardsHtml));
+      });
+  }
+
   // ===== Leaflet Report control =====
   const ReportControl = L.Control.extend({
     options: { position: 'topleft' },
@@ -330,10 +1069,31 @@
         <div class="routing-row">
           <button type="button" id="rt-print-report">Print Report</button>
         </div>
+        <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;margin-top:8px;cursor:pointer;">
+          <input type="checkbox" id="rt-report-match" checked>
+          Match streets to official centrelines
+        </label>
+        <div class="routing-row">
+          <select id="rt-export-format" title="Export file format"></select>
+          <button type="button" id="rt-export">Export</button>
+        </div>
         <small style="font-size:11px;color:#555;display:block;margin-top:6px;">
           Uses the most recently generated trips from the Trip Generator.
         </small>
       `;
+      const sel = div.querySelector('#rt-export-format');
+      const btnExport = div.querySelector('#rt-export');
+      if (sel && global.TripExport) {
+        sel.innerHTML = global.TripExport.formats()
+          .map(f => `<option value="${escapeHtml(f.id)}">${escapeHtml(f.label)}</option>`)
+          .join('');
+        btnExport.addEventListener('click', function (e) {
+          e.preventDefault();
+          global.TripExport.exportTrips(sel.value);
+        });
+      } else if (btnExport) {
+        btnExport.disabled = true;
+      }
       const btn = div.querySelector('#rt-print-report');
       if (btn) {
         btn.addEventListener('click', function (e) {
@@ -361,7 +1121,11 @@
 
   // Expose a simple hook if you ever want to call it manually
   global.Report = {
-    print: printReport
+    print: printReport,
+    movementsForFeature,
+    stepName: stepNameNatural,
+    boundFrom,
+    bearingDeg
   };
 
   document.addEventListener('DOMContentLoaded', function () {
@@ -0,0 +1,305 @@
+(function (global) {
+  'use strict';
+
+  // Results panel: every route of the last run (ROUTING_CACHE.trips) in one
+  // sortable, filterable table with km, minutes and the difference from the
+  // trip's fastest route. Each route can be hidden on the map, and an
+  // alternative can be excluded from the report and exports (routing.js
+  // moves its share to the routes left). Docks at the bottom or the right.
+
+  const LS_PANEL = 'RESULTS_PANEL';
+  const SHOW = {
+    all: 'All routes',
+    fastest: 'Fastest only',
+    alternatives: 'Alternatives only',
+    excluded: 'Excluded only'
+  };
+
+  const S = {
+    panel: null,
+    open: false,
+    dock: 'bottom',          // 'bottom' | 'right'
+    sort: { col: 'name', dir: 1 },
+    filter: '',
+    show: 'all'
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  const fmt = (v, d) => (isFiniteNum(v) ? v.toFixed(d) : '—');
+  const signed = (v, d) => (isFiniteNum(v) ? (v > 0 ? '+' : '') + v.toFixed(d) : '—');
+
+  function savePanel() {
+    localStorage.setItem(LS_PANEL, JSON.stringify({ open: S.open, dock: S.dock }));
+  }
+
+  function loadPanel() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LS_PANEL) || '{}');
+      S.open = !!saved.open;
+      S.dock = saved.dock === 'right' ? 'right' : 'bottom';
+    } catch {}
+  }
+
+  // ===== Rows: one per route =====
+  function tripName(trip) {
+    const name = trip.type === 'PZ' ? (trip.label || trip.key || 'Zone') : (trip.name || trip.key || 'PD');
+    const zone = trip.zone != null ? ` – Zone ${trip.zone}` : '';
+    return `${name}${zone}${trip.access ? ` via ${trip.access}` : ''}`;
+  }
+
+  function summaryOf(feat) {
+    const props = (feat && feat.properties) || {};
+    const sum = props.summary || (Array.isArray(props.segments) && props.segments[0]) || {};
+    return { km: Number(sum.distance) / 1000, min: Number(sum.duration) / 60 };
+  }
+
+  function buildRows(cache) {
+    const rows = [];
+    ((cache && cache.trips) || []).forEach((trip, ti) => {
+      const feats = trip.features || [];
+      const first = summaryOf(feats[0]);
+      feats.forEach((feat, idx) => {
+        const s = summaryOf(feat);
+        rows.push({
+          id: `${ti}:${idx}`,
+          trip,
+          idx,
+          name: tripName(trip),
+          rank: idx + 1,
+          km: s.km,
+          min: s.min,
+          dMin: idx ? s.min - first.min : null,
+          dKm: idx ? s.km - first.km : null,
+          share: Array.isArray(trip.routeShares) ? trip.routeShares[idx] : null,
+          veh: Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null,
+          excluded: Array.isArray(trip.excluded) && trip.excluded.includes(idx)
+        });
+      });
+    });
+    return rows;
+  }
+
+  function visibleRows(rows) {
+    const q = S.filter.trim().toLowerCase();
+    return rows.filter(r => {
+      if (q && !r.name.toLowerCase().includes(q)) return false;
+      if (S.show === 'fastest') return r.idx === 0;
+      if (S.show === 'alternatives') return r.idx > 0;
+      if (S.show === 'excluded') return r.excluded;
+      return true;
+    });
+  }
+
+  // Names sort naturally; a trip's routes stay in rank order under equal keys
+  function sortRows(rows) {
+    const { col, dir } = S.sort;
+    return rows.slice().sort((a, b) => {
+      if (col === 'name') {
+        return dir * a.name.localeCompare(b.name, undefined, { numeric: true }) || a.rank - b.rank;
+      }
+      const va = a[col], vb = b[col];
+      const na = !isFiniteNum(va), nb = !isFiniteNum(vb);
+      if (na || nb) return (na - nb) || a.rank - b.rank; // blanks last
+      return dir * (va - vb) || a.rank - b.rank;
+    });
+  }
+
+  // ===== Panel =====
+  function render() {
+    const cache = global.ROUTING_CACHE;
+    const rows = buildRows(cache);
+    const btn = byId('rt-results');
+    if (btn) btn.textContent = rows.length ? `Results (${rows.length})` : 'Results';
+    if (!S.panel) return;
+    S.panel.hidden = !S.open;
+    S.panel.className = `results-panel dock-${S.dock}`;
+    if (!S.open) return;
+
+    const box = byId('rt-res-table');
+    const status = byId('rt-res-status');
+    if (!rows.length) {
+      box.innerHTML = '<p class="routing-hint">No trips yet. Generate PD or PZ trips first.</p>';
+      if (status) status.textContent = '';
+      return;
+    }
+
+    const R = global.Routing;
+    const shown = sortRows(visibleRows(rows));
+    const hasVol = rows.some(r => isFiniteNum(r.veh));
+    const arrow = (col) => (S.sort.col === col ? (S.sort.dir > 0 ? ' ▲' : ' ▼') : '');
+    const th = (col, label, right) =>
+      `<th data-col="${col}"${right ? ' class="num"' : ''}>${label}${arrow(col)}</th>`;
+    box.innerHTML = `
+      <table>
+        <thead><tr>
+          ${th('name', 'Destination')}${th('rank', 'Route', true)}${th('km', 'km', true)}${th('min', 'min', true)}
+          ${th('dMin', 'Δ min', true)}${th('dKm', 'Δ km', true)}${th('share', 'Share', true)}
+          ${hasVol ? th('veh', 'veh', true) : ''}
+          <th title="Show on the map">Map</th><th title="Include in the report and exports">Report</th>
+        </tr></thead>
+        <tbody>${shown.map(r => `
+          <tr data-id="${r.id}"${r.excluded ? ' class="excluded"' : ''}>
+            <td class="res-name" title="Zoom to this route">${escapeHtml(r.name)}</td>
+            <td class="num">${r.rank}</td>
+            <td class="num">${fmt(r.km, 2)}</td>
+            <td class="num">${fmt(r.min, 1)}</td>
+            <td class="num">${signed(r.dMin, 1)}</td>
+            <td class="num">${signed(r.dKm, 2)}</td>
+            <td class="num">${isFiniteNum(r.share) ? (r.share * 100).toFixed(1) + '%' : '—'}</td>
+            ${hasVol ? `<td class="num">${fmt(r.veh, 1)}</td>` : ''}
+            <td><input type="checkbox" class="res-show"${!R || R.isRouteVisible(r.trip, r.idx) ? ' checked' : ''}></td>
+            <td><input type="checkbox" class="res-report"${r.excluded ? '' : ' checked'}${r.idx ? '' : ' disabled title="The fastest route is always reported"'}></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+
+    if (status) {
+      const trips = new Set(rows.map(r => r.trip)).size;
+      const excluded = rows.filter(r => r.excluded).length;
+      const hidden = R ? rows.filter(r => !R.isRouteVisible(r.trip, r.idx)).length : 0;
+      status.textContent = [
+        `${shown.length} of ${rows.length} routes (${trips} trips)`,
+        hidden ? `${hidden} hidden on the map` : '',
+        excluded ? `${excluded} excluded from the report` : ''
+      ].filter(Boolean).join(' · ');
+    }
+  }
+
+  function rowOf(el) {
+    const tr = el.closest('tr[data-id]');
+    if (!tr) return null;
+    const [ti, idx] = tr.dataset.id.split(':').map(Number);
+    const trip = ((global.ROUTING_CACHE && global.ROUTING_CACHE.trips) || [])[ti];
+    return trip ? { trip, idx } : null;
+  }
+
+  function onTableClick(e) {
+    const th = e.target.closest('th[data-col]');
+    if (th) {
+      const col = th.dataset.col;
+      S.sort = { col, dir: S.sort.col === col ? -S.sort.dir : 1 };
+      render();
+      return;
+    }
+    if (!e.target.closest('.res-name')) return;
+    const row = rowOf(e.target);
+    const coords = row && row.trip.features[row.idx]?.geometry?.coordinates;
+    if (coords && coords.length && global.map) {
+      global.map.fitBounds(L.latLngBounds(coords.map(([lng, lat]) => [lat, lng])), { padding: [30, 30] });
+    }
+  }
+
+  function onTableChange(e) {
+    const row = rowOf(e.target);
+    const R = global.Routing;
+    if (!row || !R) return;
+    if (e.target.classList.contains('res-show')) {
+      R.setRouteVisible(row.trip, row.idx, e.target.checked);
+      render();
+    } else if (e.target.classList.contains('res-report')) {
+      R.excludeRoute(row.trip, row.idx, !e.target.checked); // re-renders on routing:updated
+    }
+  }
+
+  function onTableHover(e) {
+    const row = rowOf(e.target);
+    if (global.Routing) global.Routing.highlightTrip(row ? row.trip : null);
+  }
+
+  function setOpen(open) {
+    S.open = open;
+    savePanel();
+    render();
+  }
+
+  function buildPanel() {
+    const div = document.createElement('div');
+    div.hidden = true;
+    div.innerHTML = `
+      <div class="results-head">
+        <strong>Trip results</strong>
+        <input id="rt-res-filter" type="search" placeholder="Filter destinations">
+        <select id="rt-res-show">
+          ${Object.entries(SHOW).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+        </select>
+        <button id="rt-res-dock" type="button" class="ghost" title="Dock at the bottom or the right">Dock right</button>
+        <button id="rt-res-close" type="button" class="ghost" title="Close">×</button>
+      </div>
+      <div id="rt-res-table" class="results-table"></div>
+      <small id="rt-res-status" class="routing-hint"></small>
+    `;
+    document.body.appendChild(div);
+    S.panel = div;
+
+    const dock = div.querySelector('#rt-res-dock');
+    const syncDock = () => { dock.textContent = S.dock === 'bottom' ? 'Dock right' : 'Dock bottom'; };
+    syncDock();
+    dock.onclick = () => {
+      S.dock = S.dock === 'bottom' ? 'right' : 'bottom';
+      syncDock();
+      savePanel();
+      render();
+    };
+    div.querySelector('#rt-res-close').onclick = () => setOpen(false);
+    div.querySelector('#rt-res-filter').oninput = (e) => {
+      S.filter = e.target.value;
+      render();
+    };
+    div.querySelector('#rt-res-show').onchange = (e) => {
+      S.show = SHOW[e.target.value] ? e.target.value : 'all';
+      render();
+    };
+    const table = div.querySelector('#rt-res-table');
+    table.addEventListener('click', onTableClick);
+    table.addEventListener('change', onTableChange);
+    table.addEventListener('mouseover', onTableHover);
+    table.addEventListener('mouseleave', () => global.Routing && global.Routing.highlightTrip(null));
+  }
+
+  function init() {
+    if (!global.Routing || typeof global.Routing.whenReady !== 'function') return;
+    loadPanel();
+    buildPanel();
+    global.Routing.whenReady((el) => {
+      const actions = el.querySelector('.routing-actions');
+      if (actions) {
+        const btn = document.createElement('button');
+        btn.id = 'rt-results';
+        btn.type = 'button';
+        btn.className = 'ghost';
+        btn.title = 'Sortable table of every route';
+        btn.onclick = () => setOpen(!S.open);
+        actions.insertBefore(btn, byId('rt-clear'));
+      }
+      render();
+    });
+    document.addEventListener('routing:updated', render);
+  }
+
+  global.TripResults = {
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    refresh: render
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init();
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
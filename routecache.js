@@ -0,0 +1,128 @@
+(function (global) {
+  'use strict';
+
+  // Persistent cache of routing responses (LocalDB store 'routes') so re-runs
+  // only fetch pairs that changed. Keyed on provider, service base, profile,
+  // preference, origin/destination rounded to 5 decimals (~1 m) and the
+  // number of alternatives; entries expire after the TTL.
+
+  const STORE = 'routes';
+  const LS_ENABLED = 'ROUTE_CACHE_ENABLED';
+  const LS_TTL = 'ROUTE_CACHE_TTL_DAYS';
+  const DEFAULT_TTL_DAYS = 7;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function enabled() {
+    return localStorage.getItem(LS_ENABLED) !== '0';
+  }
+
+  function ttlDays() {
+    const n = Number(localStorage.getItem(LS_TTL));
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_DAYS;
+  }
+
+  function keyFor(providerId, base, req) {
+    const ll = (c) => c.map(v => Number(v).toFixed(5)).join(',');
+    const parts = [providerId, base, req.profile, req.preference, ll(req.origin), ll(req.destination), req.count];
+    // Avoidances, vehicle dimensions and via points only when set, so plain keys stay valid
+    if (req.avoid && req.avoid.length) parts.push('avoid=' + req.avoid.slice().sort().join('+'));
+    if (req.vehicle) parts.push('hgv=' + Object.keys(req.vehicle).sort().map(k => k + ':' + req.vehicle[k]).join(','));
+    if (req.via && req.via.length) parts.push('via=' + req.via.map(ll).join(';'));
+    return parts.join('|');
+  }
+
+  // ===== Store =====
+  // Misses, expired entries and an unavailable IndexedDB all resolve to null
+  function get(key) {
+    if (!enabled() || !global.LocalDB) return Promise.resolve(null);
+    return global.LocalDB.get(STORE, key)
+      .then(rec => {
+        if (!rec) return null;
+        if (Date.now() - rec.saved > ttlDays() * DAY_MS) {
+          global.LocalDB.delete(STORE, key).catch(() => {});
+          return null;
+        }
+        return rec.json;
+      })
+      .catch(err => {
+        console.warn('Route cache read failed:', err);
+        return null;
+      });
+  }
+
+  function put(key, json) {
+    if (!enabled() || !global.LocalDB) return Promise.resolve();
+    return global.LocalDB.put(STORE, { key, saved: Date.now(), json })
+      .then(updateStats)
+      .catch(err => console.warn('Route cache write failed:', err));
+  }
+
+  function clear() {
+    if (!global.LocalDB) return Promise.resolve();
+    return global.LocalDB.clear(STORE).then(updateStats);
+  }
+
+  // ===== Trip Generator section =====
+  function updateStats() {
+    const el = byId('rt-cache-stats');
+    if (!el || !global.LocalDB) return;
+    global.LocalDB.count(STORE)
+      .then(n => { el.textContent = `${n} cached response${n === 1 ? '' : 's'}, kept ${ttlDays()} day(s).`; })
+      .catch(() => { el.textContent = 'Cache unavailable in this browser.'; });
+  }
+
+  function wire() {
+    const cbx = byId('rt-cache-on');
+    const ttl = byId('rt-cache-ttl');
+    const btn = byId('rt-cache-clear');
+    if (cbx) {
+      cbx.checked = enabled();
+      cbx.onchange = () => localStorage.setItem(LS_ENABLED, cbx.checked ? '1' : '0');
+    }
+    if (ttl) {
+      ttl.value = String(ttlDays());
+      ttl.onchange = () => {
+        const n = Number(ttl.value);
+        if (Number.isFinite(n) && n > 0) localStorage.setItem(LS_TTL, String(n));
+        ttl.value = String(ttlDays());
+        updateStats();
+      };
+    }
+    if (btn) {
+      btn.onclick = () => clear().catch(err => {
+        console.error('Route cache clear failed:', err);
+        alert('Could not clear the route cache.');
+      });
+    }
+    updateStats();
+  }
+
+  function init() {
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Route cache', `
+      <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;cursor:pointer;">
+        <input type="checkbox" id="rt-cache-on" checked>
+        Reuse saved routes for unchanged pairs
+      </label>
+      <label for="rt-cache-ttl" style="font-weight:600;display:block;margin-top:6px;">Keep for (days)</label>
+      <input id="rt-cache-ttl" type="number" min="0.1" step="0.5">
+      <div class="routing-row">
+        <button id="rt-cache-clear" type="button" class="ghost">Clear cache</button>
+      </div>
+      <small class="routing-hint" id="rt-cache-stats"></small>
+    `, { id: 'rt-cache-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.RouteCache = {
+    keyFor,
+    get,
+    put,
+    clear
+  };
+
+  document.addEventListener('DOMContentLoaded', init);
+})(window);
@@ -1,25 +1,42 @@
 (function (global) {
   // ===== Config =====
-  const PROFILE    = 'driving-car';
-  const PREFERENCE = 'fastest';
-  const ORS_BASE   = 'https://api.openrouteservice.org';
+  const PROFILES    = { 'driving-car': 'Car', 'driving-hgv': 'Truck (HGV)' };
+  const PREFERENCES = { fastest: 'Fastest', shortest: 'Shortest', recommended: 'Recommended' };
+  const AVOIDANCES  = { tollways: 'Tolls (Hwy 407 ETR)', highways: 'Highways' };
+  const VEHICLE_FIELDS = [   // HGV restrictions: [key, label, unit]
+    ['height', 'Height', 'm'],
+    ['width', 'Width', 'm'],
+    ['length', 'Length', 'm'],
+    ['weight', 'Weight', 't'],
+    ['axleload', 'Axle load', 't']
+  ];
 
   const COLOR_FIRST  = '#0b3aa5';
   const COLOR_OTHERS = '#2166f3';
+  const ROUTE_COLORINGS = { rank: 'Fastest / alternatives', pd: 'One colour per PD' };
 
   // Inline default ORS key (backup)
   const INLINE_DEFAULT_KEY =
     'eyJvcmciOiI1YjNjZTM1OTc4NTExMTAwMDFjZjYyNDgiLCJpZCI6Ijk5NWI5MTE5OTM2YTRmYjNhNDRiZTZjNDRjODhhNTRhIiwiaCI6Im11cm11cjY0In0=';
   const LS_KEYS         = 'ORS_KEYS';
   const LS_ACTIVE_INDEX = 'ORS_ACTIVE_INDEX';
+  const LS_PROVIDER     = 'ROUTING_PROVIDER';
+  const LS_CONCURRENCY  = 'ROUTING_CONCURRENCY';
 
   const S = {
     map: null,
     group: null,
     keys: [],
     keyIndex: 0,
-    lastMode: null,  // 'PD' or 'PZ'
-    lastTrips: []    // cached ORS features per destination
+    lastMode: null,  // 'PD', 'PDZ' (zone-weighted PD) or 'PZ'
+    lastTrips: [],   // cached ORS features per destination
+    drawn: [],       // { trip, group, lines: [{ line, idx }] } per trip on the map (group: pdGroupOf)
+    colorBy: 'rank', // ROUTE_COLORINGS key
+    legend: null,    // route legend control
+    job: null,       // running RequestScheduler job (cancellable)
+    countdown: null, // timer ticking the rate-limit countdown of the progress bar
+    control: null,   // Trip Generator element once added
+    onReady: []      // callbacks waiting for the control
   };
 
   // ===== Small helpers =====
@@ -126,24 +143,48 @@
     return true;
   }
 
-  async function orsFetch(path, { method = 'GET', body } = {}, attempt = 0) {
-    const url = new URL(ORS_BASE + path);
+  // ===== Provider transport =====
+  // ?routingBase=http://localhost:8787 points every HTTP provider at the
+  // fixture server (tools/mock-routing-server.js) instead of the live API.
+  // Only loopback hosts are accepted: ORS requests carry the stored keys.
+  function baseOverride() {
+    const raw = qParam('routingBase');
+    if (!raw) return '';
+    try {
+      const { protocol, hostname } = new URL(raw);
+      if (/^https?:$/.test(protocol) && /^(localhost|127(\.\d+){3}|\[::1\])$/.test(hostname)) return raw;
+    } catch {}
+    console.warn('Ignoring ?routingBase: only a local fixture server (localhost) is allowed.');
+    return '';
+  }
+
+  function providerBase(provider) {
+    return (baseOverride() || provider.defaultBase || '').replace(/\/+$/, '');
+  }
+
+  // Keys rotate on 401/403/429 until each has been tried once; a 429 after
+  // that becomes a RATE_LIMIT error the scheduler backs off and retries.
+  async function orsFetch(path, { method = 'GET', body, signal } = {}, attempt = 0) {
+    const url = new URL(providerBase(global.RoutingProviders.get('ors')) + path);
     const res = await fetch(url.toString(), {
       method,
+      signal,
       headers: {
         Authorization: currentKey(),
         ...(method !== 'GET' && { 'Content-Type': 'application/json' })
       },
       body: method === 'GET' ? undefined : JSON.stringify(body)
     });
+    global.RequestScheduler?.gate.noteHeaders(res.headers);
 
-    if ([401, 403, 429].includes(res.status) && rotateKey()) {
+    if ([401, 403, 429].includes(res.status) && attempt < S.keys.length - 1 && rotateKey()) {
       await sleep(150);
-      return orsFetch(path, { method, body }, attempt + 1);
+      return orsFetch(path, { method, body, signal }, attempt + 1);
     }
+    if (res.status === 429) throw rateLimited('ORS', res);
     if (res.status === 500 && attempt < 1) {
       await sleep(200);
-      return orsFetch(path, { method, body }, attempt + 1);
+      return orsFetch(path, { method, body, signal }, attempt + 1);
     }
     if (!res.ok) {
       const txt = await res.text().catch(() => res.statusText);
@@ -152,37 +193,196 @@
     return res.json();
   }
 
-  // Get 1–3 routes (alternative_routes) from ORS Directions v2 (geojson)
-  async function getRoutes(originLonLat, destLonLat, maxCount) {
-    const o = sanitizeLonLat(originLonLat);
-    const d = sanitizeLonLat(destLonLat);
-    const baseBody = {
-      coordinates: [o, d],
-      preference: PREFERENCE,
-      instructions: true,
-      instructions_format: 'html',
-      language: 'en',
-      geometry_simplify: false,
-      elevation: false,
-      units: 'km'
+  function providerFetch(provider) {
+    return async (path, { method = 'GET', body, signal } = {}) => {
+      const res = await fetch(providerBase(provider) + path, {
+        method,
+        signal,
+        headers: method !== 'GET' ? { 'Content-Type': 'application/json' } : {},
+        body: method === 'GET' ? undefined : JSON.stringify(body)
+      });
+      if (res.status === 429) throw rateLimited(provider.label, res);
+      if (!res.ok) {
+        const txt = await res.text().catch(() => res.statusText);
+        throw new Error(`${provider.label} ${res.status}: ${txt}`);
+      }
+      return res.json();
+    };
+  }
+
+  function rateLimited(label, res) {
+    const msg = `${label} 429: rate limit reached`;
+    const sched = global.RequestScheduler;
+    if (!sched) return new Error(msg);
+    return sched.rateLimitError(msg, sched.retryAfterMs(res.headers));
+  }
+
+  // ===== Travel options (profile, preference, avoidances, HGV dimensions) =====
+  // { profile, preference, avoid: ['tollways', 'highways'], vehicle: { height, ... } | null }
+  // go into every provider request and are stored on each trip.
+  function readRouteOptions() {
+    const profile = byId('rt-profile')?.value;
+    const preference = byId('rt-preference')?.value;
+    const opts = {
+      profile: PROFILES[profile] ? profile : 'driving-car',
+      preference: PREFERENCES[preference] ? preference : 'fastest',
+      avoid: Object.keys(AVOIDANCES).filter(k => byId(`rt-avoid-${k}`)?.checked),
+      vehicle: null
+    };
+    if (opts.profile === 'driving-hgv') {
+      const vehicle = {};
+      VEHICLE_FIELDS.forEach(([k]) => {
+        const v = num((byId(`rt-hgv-${k}`)?.value || '').trim());
+        if (isFiniteNum(v) && v > 0) vehicle[k] = v;
+      });
+      if (Object.keys(vehicle).length) opts.vehicle = vehicle;
+    }
+    return opts;
+  }
+
+  function applyRouteOptions(opts) {
+    if (!opts) return;
+    const setVal = (id, v) => { const el = byId(id); if (el && v != null) el.value = v; };
+    if (PROFILES[opts.profile]) setVal('rt-profile', opts.profile);
+    if (PREFERENCES[opts.preference]) setVal('rt-preference', opts.preference);
+    Object.keys(AVOIDANCES).forEach(k => {
+      const cbx = byId(`rt-avoid-${k}`);
+      if (cbx) cbx.checked = (opts.avoid || []).includes(k);
+    });
+    VEHICLE_FIELDS.forEach(([k]) => setVal(`rt-hgv-${k}`, opts.vehicle && opts.vehicle[k] != null ? opts.vehicle[k] : ''));
+    syncRouteOptionsUi();
+  }
+
+  // "Truck (HGV) · Fastest · avoid Tolls (Hwy 407 ETR) · 4.15 m high, 40 t"
+  function describeRouteOptions(opts) {
+    if (!opts) return '';
+    const parts = [PROFILES[opts.profile] || opts.profile, PREFERENCES[opts.preference] || opts.preference];
+    if (opts.avoid && opts.avoid.length) parts.push('avoid ' + opts.avoid.map(k => AVOIDANCES[k] || k).join(', '));
+    if (opts.vehicle) {
+      const dims = VEHICLE_FIELDS
+        .filter(([k]) => opts.vehicle[k] != null)
+        .map(([k, label, unit]) => `${label.toLowerCase()} ${opts.vehicle[k]} ${unit}`);
+      if (dims.length) parts.push(dims.join(', '));
+    }
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  function syncRouteOptionsUi() {
+    const hgv = byId('rt-hgv');
+    if (hgv) hgv.hidden = byId('rt-profile')?.value !== 'driving-hgv';
+    const sum = byId('rt-options-summary');
+    if (sum) sum.textContent = describeRouteOptions(readRouteOptions());
+  }
+
+  // ===== Provider choice (see providers.js) =====
+  function currentProvider() {
+    const reg = global.RoutingProviders;
+    if (!reg) throw new Error('Routing providers not loaded (providers.js missing).');
+    const sel = byId('rt-provider');
+    const id = (sel && sel.value) || localStorage.getItem(LS_PROVIDER) || 'ors';
+    return reg.get(id) || reg.get('ors');
+  }
+
+  // ctx handed to provider.route/matrix/isochrones
+  function requestContext(provider, signal) {
+    const fetcher = provider.id === 'ors' ? orsFetch : providerFetch(provider);
+    return {
+      base: providerBase(provider),
+      request: (path, opts = {}) => fetcher(path, { ...opts, signal })
+    };
+  }
+
+  // Get 1–3 routes from the selected provider, always in ORS geojson shape.
+  // Online answers go through RouteCache; a cached answer comes back with
+  // fromCache: true so callers can skip their request delay.
+  // via: [[lon, lat]...] the route must pass through in order (one route only)
+  async function getRoutes(originLonLat, destLonLat, maxCount, { signal, options = readRouteOptions(), via } = {}) {
+    const provider = currentProvider();
+    const req = {
+      origin: sanitizeLonLat(originLonLat),
+      destination: sanitizeLonLat(destLonLat),
+      count: Math.min(Math.max(1, maxCount | 0), 3),
+      ...options
     };
-    if (maxCount > 1) {
-      baseBody.alternative_routes = {
-        target_count: Math.min(Math.max(1, maxCount), 3),
-        share_factor: 0.6
+    if (via && via.length) {
+      req.via = via.map(sanitizeLonLat);
+      req.count = 1;
+    }
+    const ctx = requestContext(provider, signal);
+
+    const cache = !provider.offline && global.RouteCache;
+    const cacheKey = cache && cache.keyFor(provider.id, ctx.base, req);
+    if (cache) {
+      const hit = await cache.get(cacheKey);
+      if (hit) return { ...hit, fromCache: true };
+    }
+    if (!provider.offline && global.RequestScheduler) await global.RequestScheduler.gate.wait(signal);
+    const json = await provider.route(req, ctx);
+    if (cache && Array.isArray(json?.features) && json.features.length) await cache.put(cacheKey, json);
+    return json;
+  }
+
+  // Destinations per matrix request for the current provider (its location
+  // limit less the origin); Infinity when it has none
+  function matrixLimit() {
+    const n = Number(currentProvider().matrixLimit);
+    return n > 1 ? n - 1 : Infinity;
+  }
+
+  // Travel time and distance between the origin and every destination with the
+  // selected provider's matrix service; reverse measures towards the origin.
+  // -> [{ duration, distance }] in destination order, nulls when unreachable.
+  async function getMatrix(destinations, { reverse = false, signal } = {}) {
+    const provider = currentProvider();
+    if (typeof provider.matrix !== 'function') {
+      throw new Error(`${provider.label} has no travel time matrix service.`);
+    }
+    const origin = getOriginLonLat();
+    const dests = destinations.map(sanitizeLonLat);
+    const limit = matrixLimit();
+    const out = [];
+    // Requests over the provider's limit go out in sequential slices
+    for (let i = 0; i < dests.length; i += limit) {
+      const part = dests.slice(i, i + limit);
+      const req = {
+        sources: reverse ? part : [origin],
+        destinations: reverse ? [origin] : part,
+        ...readRouteOptions()
       };
+      const ctx = requestContext(provider, signal);
+      if (!provider.offline && global.RequestScheduler) await global.RequestScheduler.gate.wait(signal);
+      const json = await provider.matrix(req, ctx);
+      const pick = (grid, j) => {
+        const v = reverse ? (grid[j] || [])[0] : (grid[0] || [])[j];
+        return isFiniteNum(v) ? v : null;
+      };
+      part.forEach((_, j) => out.push({
+        duration: pick(json.durations || [], j),
+        distance: pick(json.distances || [], j)
+      }));
     }
-    try {
-      return await orsFetch(`/v2/directions/${PROFILE}/geojson`, { method: 'POST', body: baseBody });
-    } catch (e) {
-      // Handle ORS weird 2099 errors by trying swapped dest coords
-      const msg = String(e.message || '');
-      const is2099 = msg.includes('ORS 500') && (msg.includes('"code":2099') || msg.includes('code:2099'));
-      if (!is2099) throw e;
-      const dSwap = sanitizeLonLat([d[1], d[0]]);
-      const bodySwap = { ...baseBody, coordinates: [o, dSwap] };
-      return await orsFetch(`/v2/directions/${PROFILE}/geojson`, { method: 'POST', body: bodySwap });
+    return out;
+  }
+
+  // Drive-time catchments around the origin (ranges in seconds; reverse =
+  // time to reach the origin). -> FeatureCollection, smallest band first.
+  async function getIsochrones(ranges, { reverse = false, signal } = {}) {
+    const provider = currentProvider();
+    if (typeof provider.isochrones !== 'function') {
+      throw new Error(`${provider.label} has no isochrone service.`);
     }
+    const req = {
+      origin: getOriginLonLat(),
+      ranges: ranges.slice().sort((a, b) => a - b),
+      ...readRouteOptions(),
+      reverse
+    };
+    const ctx = requestContext(provider, signal);
+    if (!provider.offline && global.RequestScheduler) await global.RequestScheduler.gate.wait(signal);
+    const json = await provider.isochrones(req, ctx);
+    const features = (json.features || []).slice()
+      .sort((a, b) => num(a.properties?.value) - num(b.properties?.value));
+    return { type: 'FeatureCollection', features };
   }
 
   // ===== Drawing =====
@@ -193,19 +393,306 @@
     }
     S.lastTrips = [];
     S.lastMode = null;
-    global.ROUTING_CACHE = undefined;
+    S.drawn = [];
+    renderLegend();
+    publishCache(undefined);
+  }
+
+  // ROUTING_CACHE is read by report.js and the map layers; tell them when it changes
+  function publishCache(cache) {
+    global.ROUTING_CACHE = cache;
+    renderFailures(cache);
+    document.dispatchEvent(new CustomEvent('routing:updated', { detail: { cache } }));
+  }
+
+  // Every polyline is tied to its trip: hovering one highlights the whole trip
+  // and dims the others, clicking opens its km, minutes and movements.
+  function routeStyle(entry, idx) {
+    const trip = entry.trip;
+    if (trip.excluded && trip.excluded.includes(idx)) {
+      return { color: '#888', weight: 3, opacity: 0.6, dashArray: '2 6' };
+    }
+    if (S.colorBy === 'pd') {
+      return { color: entry.group.color, weight: idx ? 3 : 4, opacity: 0.9, dashArray: idx ? '6 5' : null };
+    }
+    return { color: idx === 0 ? COLOR_FIRST : COLOR_OTHERS, weight: 4, opacity: 0.9, dashArray: null };
+  }
+
+  // PD a trip belongs to (a PZ trip's zone is looked up in its PD) -> { key, name, color }.
+  // Resolved once per drawn trip and kept on its entry.
+  function pdGroupOf(trip) {
+    let key = trip.key;
+    if (trip.type === 'PZ') {
+      key = typeof global.zonePdKey === 'function' ? global.zonePdKey(trip.key) : null;
+    }
+    const keys = Object.keys(global.PD_REGISTRY || {});
+    const reg = key != null ? (global.PD_REGISTRY || {})[key] : null;
+    const i = key != null ? keys.indexOf(String(key)) : -1;
+    // Golden-angle hues stay apart however many PDs there are
+    const hue = Math.round(((i < 0 ? keys.length : i) * 137.508) % 360);
+    return {
+      key: key == null ? '' : String(key),
+      name: key == null ? 'Other zones' : ((reg && reg.name) || (trip.type === 'PZ' ? key : trip.name) || key),
+      color: `hsl(${hue}, 70%, 40%)`
+    };
   }
 
-  function drawRoute(coords, color) {
-    if (!coords?.length) return;
+  function drawTrip(trip) {
+    const feats = Array.isArray(trip.features) ? trip.features : [];
     if (!S.group) S.group = L.layerGroup().addTo(S.map);
-    const latlngs = coords.map(([lng, lat]) => [lat, lng]);
-    L.polyline(latlngs, { color, weight: 4, opacity: 0.9 }).addTo(S.group);
+    const entry = { trip, group: pdGroupOf(trip), lines: [] };
+    feats.forEach((feat, idx) => {
+      const coords = feat.geometry?.coordinates || [];
+      if (!coords.length) return;
+      const line = L.polyline(coords.map(([lng, lat]) => [lat, lng]), routeStyle(entry, idx));
+      line.on('mouseover', () => highlight(e => e === entry));
+      line.on('mouseout', () => highlight(null));
+      line.bindPopup(() => routePopupHtml(trip, idx), { maxWidth: 320, className: 'route-popup' });
+      line.addTo(S.group);
+      entry.lines.push({ line, idx, hidden: false });
+    });
+    S.drawn.push(entry);
+  }
+
+  function drawTrips(trips) {
+    trips.forEach(drawTrip);
+    renderLegend();
+  }
+
+  // ===== Per-route visibility and report exclusion (results panel) =====
+  function lineOf(trip, idx) {
+    const entry = S.drawn.find(e => e.trip === trip);
+    return entry ? entry.lines.find(l => l.idx === idx) || null : null;
+  }
+
+  function setRouteVisible(trip, idx, on) {
+    const l = lineOf(trip, idx);
+    if (!l || l.hidden === !on) return;
+    l.hidden = !on;
+    if (on) l.line.addTo(S.group);
+    else S.group.removeLayer(l.line);
+  }
+
+  // Drops an alternative (never the fastest route) from the report, exports and
+  // assigned volumes; its share goes to the routes left. Saved with the trip.
+  function excludeRoute(trip, idx, excluded) {
+    if (!trip || idx < 1 || idx >= (trip.features || []).length) return;
+    const list = (trip.excluded || []).filter(i => i !== idx);
+    if (excluded) list.push(idx);
+    list.sort((a, b) => a - b);
+    if (list.length) trip.excluded = list;
+    else delete trip.excluded;
+    const cache = global.ROUTING_CACHE;
+    applyVolumes(trip, trip.percent, (cache && cache.distribution) || readDistribution());
+    highlight(null);
+    if (cache) publishCache(cache);
+  }
+
+  // isActive(entry) picks the trips to bring forward; null restores every route
+  function highlight(isActive) {
+    S.drawn.forEach(entry => {
+      const on = isActive ? isActive(entry) : null;
+      entry.lines.forEach(({ line, idx }) => {
+        const base = routeStyle(entry, idx);
+        if (on === null) line.setStyle(base);
+        else if (on) {
+          line.setStyle({ ...base, weight: base.weight + 2, opacity: 1 });
+          line.bringToFront();
+        } else line.setStyle({ ...base, opacity: 0.15 });
+      });
+    });
+  }
+
+  function tripTitle(trip) {
+    const name = trip.type === 'PZ' ? (trip.label || 'Zone') : (trip.name || trip.key);
+    const zone = trip.zone != null ? ` – Zone ${trip.zone}` : '';
+    const access = trip.access ? ` via ${trip.access}` : '';
+    return `${name}${zone}${access}`;
+  }
+
+  function routePopupHtml(trip, idx) {
+    const feats = trip.features || [];
+    const feat = feats[idx] || {};
+    const props = feat.properties || {};
+    const sum = props.summary || (Array.isArray(props.segments) && props.segments[0]) || {};
+    const rank = feats.length === 1 ? 'Only route' : `Route ${idx + 1} of ${feats.length}${idx === 0 ? ' (fastest)' : ''}`;
+    const meta = [rank];
+    if (isFiniteNum(num(sum.distance))) meta.push(`${(num(sum.distance) / 1000).toFixed(2)} km`);
+    if (isFiniteNum(num(sum.duration))) meta.push(`${(num(sum.duration) / 60).toFixed(1)} min`);
+    const share = trip.routeShares?.[idx];
+    const vol = trip.routeVolumes?.[idx];
+    if (feats.length > 1 && isFiniteNum(share)) meta.push(`${(share * 100).toFixed(1)}% of trips`);
+    if (isFiniteNum(vol)) meta.push(`${vol.toFixed(1)} veh`);
+
+    let table = '';
+    if (global.Report && typeof global.Report.movementsForFeature === 'function') {
+      const { movs } = global.Report.movementsForFeature(feat);
+      if (movs.length) {
+        table = `<table class="route-popup-table">
+          <thead><tr><th>Dir</th><th>Street</th><th>km</th></tr></thead>
+          <tbody>${movs.map(m => `<tr><td>${escapeHtml(m.dir || '')}</td><td>${escapeHtml(m.name || '')}</td><td>${m.km.toFixed(2)}</td></tr>`).join('')}</tbody>
+        </table>`;
+      }
+    }
+    const via = trip.via && trip.via.length
+      ? `<div class="route-popup-flag">⚑ Through ${trip.via.length} via point${trip.via.length === 1 ? '' : 's'}</div>`
+      : '';
+    const excluded = trip.excluded && trip.excluded.includes(idx)
+      ? '<div class="route-popup-flag">Excluded from the report</div>'
+      : '';
+    return `<strong>${escapeHtml(tripTitle(trip))}</strong>
+      <div class="route-popup-meta">${escapeHtml(meta.join(' · '))}</div>${via}${excluded}${table}`;
+  }
+
+  // ===== Route legend =====
+  function renderLegend() {
+    if (S.legend) {
+      try { S.map.removeControl(S.legend); } catch {}
+      S.legend = null;
+    }
+    if (!S.drawn.length || !byId('rt-route-legend')?.checked) return;
+
+    const alternatives = S.drawn.some(e => e.lines.length > 1);
+    const swatch = (color, dashed) =>
+      `<span style="border-top-color:${color}${dashed ? ';border-top-style:dashed' : ''}"></span>`;
+    let rows;
+    if (S.colorBy === 'pd') {
+      const groups = new Map();
+      S.drawn.forEach(e => {
+        if (!groups.has(e.group.key)) groups.set(e.group.key, e.group);
+      });
+      rows = Array.from(groups.values()).map(g =>
+        `<div class="route-legend-row" data-pd="${escapeHtml(g.key)}">${swatch(g.color)}${escapeHtml(g.name)}</div>`
+      ).join('');
+      if (alternatives) rows += `<div class="route-legend-row">${swatch('#666', true)}Alternatives</div>`;
+    } else {
+      rows = `<div class="route-legend-row">${swatch(COLOR_FIRST)}Fastest route</div>` +
+        (alternatives ? `<div class="route-legend-row">${swatch(COLOR_OTHERS)}Alternatives</div>` : '');
+    }
+
+    const Legend = L.Control.extend({
+      options: { position: 'bottomright' },
+      onAdd: function () {
+        const div = L.DomUtil.create('div', 'route-legend');
+        div.innerHTML = `<strong>Routes (${S.drawn.length} trip${S.drawn.length === 1 ? '' : 's'})</strong>${rows}`;
+        // Hovering a PD row highlights that PD's routes
+        div.addEventListener('mouseover', (e) => {
+          const row = e.target.closest('[data-pd]');
+          if (row) highlight(entry => entry.group.key === row.dataset.pd);
+        });
+        div.addEventListener('mouseout', () => highlight(null));
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+        return div;
+      }
+    });
+    S.legend = new Legend();
+    S.map.addControl(S.legend);
+  }
+
+  function setRouteColoring(id) {
+    S.colorBy = ROUTE_COLORINGS[id] ? id : 'rank';
+    const sel = byId('rt-route-colors');
+    if (sel) sel.value = S.colorBy;
+    highlight(null);
+    renderLegend();
+  }
+
+  // ===== Session state (AppState part 'trips') =====
+  // Inputs of the Trip Generator plus the cached trips; loading redraws the
+  // saved geometries without asking the routing provider again.
+  function saveState() {
+    return {
+      reverse: !!byId('rt-reverse')?.checked,
+      zoneWeighting: readZoneWeighting(),
+      provider: currentProvider().id,
+      options: readRouteOptions(),
+      routeColors: S.colorBy,
+      legend: !!byId('rt-route-legend')?.checked,
+      distribution: {
+        label: byId('rt-dist-label')?.value || '',
+        total: byId('rt-dist-total')?.value || '',
+        weights: byId('rt-dist-weights')?.value || ''
+      },
+      cache: global.ROUTING_CACHE || null
+    };
+  }
+
+  function loadState(data) {
+    if (!data) return;
+    const setVal = (id, v) => { const el = byId(id); if (el && v != null) el.value = v; };
+    const rev = byId('rt-reverse');
+    if (rev) rev.checked = !!data.reverse;
+    applyZoneWeighting(data.zoneWeighting);
+    if (data.provider && global.RoutingProviders?.get(data.provider)) {
+      setVal('rt-provider', data.provider);
+      byId('rt-provider')?.onchange?.(); // remember it and preload offline data
+    }
+    applyRouteOptions(data.options);
+    const legend = byId('rt-route-legend');
+    if (legend && data.legend != null) legend.checked = !!data.legend;
+    setRouteColoring(data.routeColors);
+    const dist = data.distribution || {};
+    setVal('rt-dist-label', dist.label);
+    setVal('rt-dist-total', dist.total);
+    setVal('rt-dist-weights', dist.weights);
+
+    clearRoutes();
+    const cache = data.cache;
+    if (!cache || !Array.isArray(cache.trips)) return;
+    if (!cache.trips.length && !(cache.failures || []).length) return;
+    drawTrips(cache.trips);
+    S.lastMode = cache.mode;
+    S.lastTrips = cache.trips;
+    publishCache(cache);
+  }
+
+  // ===== Trip distribution (site trips × % per PD/zone × route weights) =====
+  // Percent text -> number, null when blank, NaN when not a valid 0–100 value
+  function parsePercent(raw) {
+    const txt = String(raw ?? '').trim();
+    if (txt === '') return null;
+    const n = Number(txt);
+    return Number.isFinite(n) && n >= 0 && n <= 100 ? n : NaN;
+  }
+
+  function readDistribution() {
+    const label = (byId('rt-dist-label')?.value || '').trim();
+    const total = num((byId('rt-dist-total')?.value || '').trim());
+    const weights = String(byId('rt-dist-weights')?.value || '')
+      .split(/[,;\s]+/)
+      .map(num)
+      .filter(n => isFiniteNum(n) && n >= 0)
+      .slice(0, 3);
+    return {
+      label,
+      total: isFiniteNum(total) && total >= 0 ? total : null,
+      weights: weights.length ? weights : [1]
+    };
+  }
+
+  // Split a destination's share over n routes; missing/zero weights fall back to equal.
+  // Routes excluded from the report (trip.excluded) get no share.
+  function routeShares(weights, n, excluded = []) {
+    const kept = (i) => !excluded.includes(i);
+    const w = Array.from({ length: n }, (_, i) => (kept(i) ? weights[i] ?? 0 : 0));
+    const sum = w.reduce((a, b) => a + b, 0);
+    const left = n - excluded.filter(i => i < n).length;
+    return sum > 0 ? w.map(x => x / sum) : w.map((_, i) => (kept(i) ? 1 / left : 0));
+  }
+
+  function applyVolumes(trip, percent, dist) {
+    trip.percent = percent;
+    trip.volume = dist.total != null && percent != null ? dist.total * percent / 100 : null;
+    trip.routeShares = routeShares(dist.weights, trip.features.length, trip.excluded);
+    trip.routeVolumes = trip.volume != null ? trip.routeShares.map(x => x * trip.volume) : null;
+    return trip;
   }
 
   // ===== PD route-count + targets =====
   // Expects script.js to have populated window.PD_REGISTRY[key] = { layer, name }.
-  // If an <input class="pd-route-count"> exists in a .pd-item, it must be 0–3.
+  // If an <input class="pd-route-count"> exists in a .pd-item, it must be 0–3;
+  // an optional <input class="pd-dist-pct"> must be blank or 0–100.
   function collectPDRequests() {
     const registry = global.PD_REGISTRY || {};
     const items = Array.from(document.querySelectorAll('.pd-item'));
@@ -230,12 +717,17 @@
       }
       const n = Number(raw);
       if (!Number.isFinite(n) || Math.floor(n) !== n || n < 0 || n > 3) {
-        invalid.push({ key, name, value: raw });
+        invalid.push({ key, name, value: raw, field: 'count' });
+      }
+
+      const pctInput = item.querySelector('.pd-dist-pct');
+      if (pctInput && Number.isNaN(parsePercent(pctInput.value))) {
+        invalid.push({ key, name, value: pctInput.value.trim(), field: 'percent' });
       }
     }
 
     if (invalid.length) {
-      const err = new Error('Invalid PD route counts');
+      const err = new Error('Invalid PD route counts or percentages');
       err.type = 'validation';
       err.invalid = invalid;
       throw err;
@@ -251,7 +743,7 @@
       const reg = registry[key];
       if (!reg || !reg.layer) continue;
 
-      const center = reg.layer.getBounds().getCenter();
+      const [lon, lat] = pdPoint(key, reg.layer);
       const name = reg.name || key || 'PD';
 
       let count = 1;
@@ -266,18 +758,158 @@
       requests.push({
         key,
         name,
-        lon: center.lng,
-        lat: center.lat,
-        count
+        lon,
+        lat,
+        count,
+        percent: parsePercent(item.querySelector('.pd-dist-pct')?.value)
       });
     }
 
     return requests;
   }
 
+  // Destination point of a PD: the destinations.js strategy, else its bounds centre
+  function pdPoint(key, layer) {
+    if (global.DestinationPoints) {
+      return global.DestinationPoints.point('pd', key, layer.feature || layer.toGeoJSON());
+    }
+    const c = layer.getBounds().getCenter();
+    return [c.lng, c.lat];
+  }
+
+  // ===== Zone-weighted PD trips =====
+  // Each selected PD is routed to every one of its zones (getZonesByPD from
+  // script.js) and the PD's % is split over them by weight: equal, the zone %
+  // boxes (e.g. from a DRS import) or a numeric zone attribute ('attr:POP').
+  const NOT_A_WEIGHT = /(^|_)(id|no|fid|objectid)$|^shape_|^tts\d{4}$/i;
+
+  function zoneWeightFields() {
+    if (typeof global.getZonesByPD !== 'function') return [];
+    const fields = new Set();
+    global.getZonesByPD().forEach(zones => zones.forEach(z => {
+      Object.entries((z.feature && z.feature.properties) || {}).forEach(([k, v]) => {
+        if (typeof v === 'number' && Number.isFinite(v) && !NOT_A_WEIGHT.test(k)) fields.add(k);
+      });
+    }));
+    return Array.from(fields).sort((a, b) => a.localeCompare(b));
+  }
+
+  function zoneWeightLabel(by) {
+    if (by === 'percent') return 'zone %';
+    if (String(by).startsWith('attr:')) return by.slice(5);
+    return 'equal weights';
+  }
+
+  // (Re)build the weight menu, keeping the current or given choice
+  function fillZoneWeightSelect(value) {
+    const sel = byId('rt-pd-zone-weight');
+    if (!sel) return;
+    const want = value || sel.value || 'equal';
+    const opts = [['equal', 'Equally'], ['percent', 'Zone % (imported)']]
+      .concat(zoneWeightFields().map(f => [`attr:${f}`, f]));
+    if (!opts.some(([v]) => v === want)) opts.push([want, zoneWeightLabel(want)]);
+    sel.innerHTML = opts.map(([v, l]) => `<option value="${escapeHtml(v)}">${escapeHtml(l)}</option>`).join('');
+    sel.value = want;
+  }
+
+  function readZoneWeighting() {
+    return {
+      enabled: !!byId('rt-pd-zones')?.checked,
+      by: byId('rt-pd-zone-weight')?.value || 'equal'
+    };
+  }
+
+  function applyZoneWeighting(zw) {
+    const cbx = byId('rt-pd-zones');
+    if (cbx) cbx.checked = !!(zw && zw.enabled);
+    fillZoneWeightSelect(zw && zw.by);
+    syncZoneWeightingUi();
+  }
+
+  function syncZoneWeightingUi() {
+    const box = byId('rt-pd-zones-opts');
+    if (box) box.hidden = !byId('rt-pd-zones')?.checked;
+  }
+
+  // PD requests -> one item per zone carrying its share of the PD's %.
+  // Zones weighted 0 carry no trips and are not routed; a PD whose zones are
+  // all 0 (or lack the attribute) falls back to equal weights.
+  function expandPDsToZones(requests, by) {
+    const byPd = typeof global.getZonesByPD === 'function' ? global.getZonesByPD() : new Map();
+    const pcts = by === 'percent' && typeof global.getZonePercents === 'function'
+      ? global.getZonePercents()
+      : new Map();
+    const weightOf = (z) => {
+      const v = by === 'percent' ? Number(pcts.get(String(z.id)))
+        : String(by).startsWith('attr:') ? Number(z.feature.properties?.[by.slice(5)])
+        : 1;
+      return Number.isFinite(v) && v > 0 ? v : 0;
+    };
+
+    const items = [];
+    const noZones = [];
+    requests.forEach(req => {
+      const zones = byPd.get(req.key) || [];
+      if (!zones.length) {
+        noZones.push(req.name);
+        return;
+      }
+      const raw = zones.map(weightOf);
+      const sum = raw.reduce((a, b) => a + b, 0);
+      zones.forEach((z, i) => {
+        const share = sum > 0 ? raw[i] / sum : 1 / zones.length;
+        if (!share) return;
+        const [lon, lat] = global.DestinationPoints
+          ? global.DestinationPoints.point('zone', z.id, z.feature)
+          : [z.center.lng, z.center.lat];
+        items.push({
+          key: req.key,
+          pdName: req.name,
+          name: `${req.name} – Zone ${z.id}`,
+          zone: String(z.id),
+          lon,
+          lat,
+          count: 1,
+          zoneShare: share,
+          weightBy: sum > 0 ? by : 'equal',
+          percent: req.percent != null ? req.percent * share : null
+        });
+      });
+    });
+    return { items, noZones };
+  }
+
+  // ===== Via points (vias.js) =====
+  // A PD's via points, a zone's, or for a zone of a zone-weighted PD its own
+  // else its PD's
+  function withVias(items, mode) {
+    const V = global.ViaPoints;
+    if (!V) return items;
+    return items.map(item => {
+      let via = mode === 'PZ' ? V.get('zone', item.key) : V.get('pd', item.key);
+      if (mode === 'PDZ' && V.get('zone', item.zone).length) via = V.get('zone', item.zone);
+      return via.length ? { ...item, via } : item;
+    });
+  }
+
+  // ===== Site accesses (origin.js) =====
+  // Every item once per access, its % split by the access share
+  function withAccesses(items) {
+    const list = global.SiteOrigin ? global.SiteOrigin.accesses() : [];
+    if (!list.length) return items;
+    const out = [];
+    items.forEach(item => list.forEach(a => out.push({
+      ...item,
+      access: { name: a.name, lon: a.lon, lat: a.lat, share: a.share },
+      percent: item.percent != null ? item.percent * a.share : item.percent
+    })));
+    return out;
+  }
+
   // ===== Zone targets (script.js is expected to provide helper) =====
   // Expected: window.getSelectedZoneTargets() → array of:
-  //   [lon, lat, label?]  OR  { lon, lat, label }.
+  //   [lon, lat, label?]  OR  { lon, lat, label, key?, percent? }.
+  // A percent that is not blank or 0–100 raises a validation error.
   function collectZoneTargets() {
     if (typeof global.getSelectedZoneTargets !== 'function') {
       const err = new Error('Zone helper missing');
@@ -286,6 +918,7 @@
     }
     const raw = global.getSelectedZoneTargets() || [];
     const out = [];
+    const invalid = [];
 
     for (const t of raw) {
       if (!t) continue;
@@ -299,13 +932,26 @@
         const lon = t.lon ?? t.lng ?? t.x ?? (t.center && t.center[0]);
         const lat = t.lat ?? t.y ?? (t.center && t.center[1]);
         if (!isFiniteNum(num(lon)) || !isFiniteNum(num(lat))) continue;
+        const percent = parsePercent(t.percent);
+        if (Number.isNaN(percent)) {
+          invalid.push({ key: t.key, name: t.label || t.name || 'Zone', value: String(t.percent).trim(), field: 'percent' });
+        }
         out.push({
           lon: num(lon),
           lat: num(lat),
-          label: t.label || t.name || 'Zone'
+          label: t.label || t.name || 'Zone',
+          key: t.key != null ? String(t.key) : undefined,
+          percent
         });
       }
     }
+
+    if (invalid.length) {
+      const err = new Error('Invalid zone percentages');
+      err.type = 'validation';
+      err.invalid = invalid;
+      throw err;
+    }
     return out;
   }
 
@@ -336,11 +982,12 @@
     box.innerHTML = `
       <h3 style="margin:0 0 8px 0;">Trip generation blocked</h3>
       <p style="margin:0 0 8px 0;font-size:0.95em;">
-        Trip generation is not possible because the following Planning District(s)
-        have an invalid route count. Please use only <strong>0, 1, 2, or 3</strong>.
+        Trip generation is not possible because the following destination(s)
+        have invalid inputs. Route counts must be <strong>0, 1, 2, or 3</strong>;
+        distribution percentages must be blank or <strong>0–100</strong>.
       </p>
       <ul style="margin:0 0 12px 20px;padding:0;font-size:0.95em;">
-        ${invalid.map(i => `<li>${escapeHtml(i.name || i.key || 'PD')} — value: "${escapeHtml(i.value)}"</li>`).join('')}
+        ${invalid.map(i => `<li>${escapeHtml(i.name || i.key || 'PD')} — ${i.field === 'percent' ? 'distribution %' : 'route count'}: "${escapeHtml(i.value)}"</li>`).join('')}
       </ul>
       <div style="text-align:right;">
         <button id="routing-validation-close">Close</button>
@@ -365,15 +1012,297 @@
     const btnPZ = byId('rt-gen-pz');
     const btnClear = byId('rt-clear');
 
-    if (mode === 'PD' && btnPD) {
+    if (btnPD) {
       btnPD.disabled = busy;
-      btnPD.textContent = busy ? 'Generating…' : 'Generate PD Trips';
+      btnPD.textContent = busy && (mode === 'PD' || mode === 'PDZ') ? 'Generating…' : 'Generate PD Trips';
     }
-    if (mode === 'PZ' && btnPZ) {
+    if (btnPZ) {
       btnPZ.disabled = busy;
-      btnPZ.textContent = busy ? 'Generating…' : 'Generate PZ Trips';
+      btnPZ.textContent = busy && mode === 'PZ' ? 'Generating…' : 'Generate PZ Trips';
     }
     if (btnClear) btnClear.disabled = busy;
+    const btnRetry = byId('rt-retry');
+    if (btnRetry) btnRetry.disabled = busy;
+  }
+
+  // ----- Progress bar (done / failed / remaining + Cancel) -----
+  // null hides it. While the gate holds requests the countdown re-renders
+  // every second; the scheduler reports again once they resume.
+  function showProgress(p) {
+    clearTimeout(S.countdown);
+    S.countdown = null;
+    const box = byId('rt-progress');
+    if (!box) return;
+    box.hidden = !p;
+    if (!p) return;
+    const pct = p.total ? ((p.done + p.failed) / p.total) * 100 : 0;
+    byId('rt-progress-done').style.width = (p.total ? p.done / p.total * 100 : 0) + '%';
+    byId('rt-progress-failed').style.width = (p.total ? p.failed / p.total * 100 : 0) + '%';
+    const waitMs = p.waitingUntil && !p.cancelled ? p.waitingUntil - Date.now() : 0;
+    const wait = waitMs > 0 ? ` · rate limited, resuming in ${Math.ceil(waitMs / 1000)} s` : '';
+    if (waitMs > 0) S.countdown = setTimeout(() => showProgress(p), Math.min(1000, waitMs));
+    byId('rt-progress-text').textContent = p.cancelled
+      ? `Cancelled · ${p.done} done, ${p.failed} failed`
+      : `${p.done} done · ${p.failed} failed · ${p.remaining} remaining${wait}`;
+    byId('rt-progress').setAttribute('aria-valuenow', String(Math.round(pct)));
+    const btn = byId('rt-cancel');
+    if (btn) btn.disabled = !!p.cancelled || p.remaining === 0;
+  }
+
+  function readConcurrency() {
+    const n = Number(byId('rt-concurrency')?.value);
+    return Number.isFinite(n) ? clamp(Math.floor(n), 1, 8) : 2;
+  }
+
+  // Sort by fastest (duration), then shortest (distance)
+  function byDurationThenDistance(a, b) {
+    const pa = a.properties || {};
+    const pb = b.properties || {};
+    const sa = pa.summary || (pa.segments && pa.segments[0]) || {};
+    const sb = pb.summary || (pb.segments && pb.segments[0]) || {};
+    const da = num(sa.duration);
+    const db = num(sb.duration);
+    if (Number.isFinite(da) && Number.isFinite(db) && da !== db) return da - db;
+    const la = num(sa.distance);
+    const lb = num(sb.distance);
+    if (Number.isFinite(la) && Number.isFinite(lb) && la !== lb) return la - lb;
+    return 0;
+  }
+
+  // ----- Failed destinations -----
+  // A failure never stops the run: each one is kept in cache.failures as
+  // { item, kind, reason, message } so the panel can list it, "Retry failed"
+  // can request it again and the report can name what is missing.
+  const FAILURE_REASONS = {
+    'no-route': 'No route found',
+    'ors-2099': 'ORS internal error (2099)',
+    quota: 'Quota / rate limit',
+    network: 'Network error',
+    cancelled: 'Not run (cancelled)',
+    other: 'Routing error'
+  };
+
+  function noRouteError(msg) {
+    const err = new Error(msg);
+    err.code = 'NO_ROUTE';
+    return err;
+  }
+
+  // ORS puts its own code in the JSON body: 2009 route not found, 2010 no
+  // routable point near a coordinate, 2099 unknown internal error.
+  function classifyError(err) {
+    const msg = String((err && err.message) || err || '');
+    const orsCode = (msg.match(/"code"\s*:\s*(\d{4})/) || [])[1];
+    if (err && err.code === 'NO_ROUTE') return 'no-route';
+    if (orsCode === '2099') return 'ors-2099';
+    if (orsCode === '2009' || orsCode === '2010') return 'no-route';
+    if ((err && err.code === 'RATE_LIMIT') || /quota/i.test(msg) || /^\S+ 429\b/.test(msg)) return 'quota';
+    if ((err && err.name === 'TypeError') || /failed to fetch|networkerror|load failed/i.test(msg)) return 'network';
+    return 'other';
+  }
+
+  function failureFor(item, err) {
+    const kind = err ? classifyError(err) : 'cancelled';
+    return {
+      item,
+      kind,
+      reason: FAILURE_REASONS[kind],
+      message: err ? String(err.message || err) : ''
+    };
+  }
+
+  const destName = (item) => (item.name || item.label || item.key || 'Destination') +
+    (item.access ? ` via ${item.access.name}` : '');
+
+  function renderFailures(cache) {
+    const box = byId('rt-failures');
+    if (!box) return;
+    const failures = (cache && cache.failures) || [];
+    box.hidden = !failures.length;
+    if (!failures.length) return;
+    const routed = (cache.trips || []).length;
+    byId('rt-failures-title').textContent =
+      `${failures.length} of ${routed + failures.length} destination(s) not routed`;
+    byId('rt-failures-list').innerHTML = failures.map(f => `
+      <li title="${escapeHtml(f.message || f.reason)}">
+        <span>${escapeHtml(destName(f.item))}</span>
+        <small>${escapeHtml(f.reason)}</small>
+      </li>`).join('');
+  }
+
+  // ----- Trip records -----
+  // ctx: { reverse, dist, siteLabel, options }
+  function makePDTrip(req, feats, o, d, { reverse, dist, siteLabel, options }) {
+    return applyVolumes({
+      type: 'PD',
+      key: req.key,
+      name: req.name,
+      reverse,
+      options,
+      origin: {
+        lon: o[0],
+        lat: o[1],
+        label: reverse ? req.name : siteLabel
+      },
+      destination: {
+        lon: d[0],
+        lat: d[1],
+        label: reverse ? siteLabel : req.name
+      },
+      features: feats.map(f => ({ geometry: f.geometry, properties: f.properties }))
+    }, req.percent, dist);
+  }
+
+  function makePZTrip(t, feats, o, d, { reverse, dist, siteLabel, options }) {
+    return applyVolumes({
+      type: 'PZ',
+      key: t.key,
+      label: t.label || 'Zone',
+      reverse,
+      options,
+      origin: {
+        lon: o[0],
+        lat: o[1],
+        label: reverse ? (t.label || 'Zone') : siteLabel
+      },
+      destination: {
+        lon: d[0],
+        lat: d[1],
+        label: reverse ? siteLabel : (t.label || 'Zone')
+      },
+      features: [ { geometry: feats[0].geometry, properties: feats[0].properties } ]
+    }, t.percent, dist);
+  }
+
+  // One zone of a zone-weighted PD: a PD trip tagged with the zone and its share
+  function makePDZoneTrip(item, feats, o, d, ctx) {
+    const trip = makePDTrip(item, feats, o, d, ctx);
+    trip.name = item.pdName;
+    trip.zone = item.zone;
+    trip.zoneShare = item.zoneShare;
+    trip.weightBy = item.weightBy;
+    return trip;
+  }
+
+  const TRIP_MAKERS = { PD: makePDTrip, PDZ: makePDZoneTrip, PZ: makePZTrip };
+
+  // ----- Shared runner: one routing request per item through RequestScheduler -----
+  // New trips are kept in item order whatever order the requests finish in and
+  // follow `keep` (trips already routed, when retrying failures).
+  async function runTrips(mode, items, { origin, reverse, dist, options = readRouteOptions(), siteLabel = originLabelFor(), keep = [] }) {
+    setBusy(mode, true);
+    clearRoutes();
+    drawTrips(keep);
+    S.lastMode = mode;
+    S.lastTrips = keep.slice();
+
+    const makeTrip = TRIP_MAKERS[mode];
+    const ctx = { reverse, dist, siteLabel, options };
+    const sched = global.RequestScheduler;
+    const worker = async (item, { signal }) => {
+      const dest = sanitizeLonLat([item.lon, item.lat]);
+      const site = item.access ? sanitizeLonLat([item.access.lon, item.access.lat]) : origin;
+      const o = reverse ? dest : site;
+      const d = reverse ? site : dest;
+      // Via points are kept site -> destination; reversed trips pass them backwards
+      const via = item.via && (reverse ? item.via.slice().reverse() : item.via);
+      const json = await getRoutes(o, d, item.count, { signal, options, via });
+      const feats = Array.isArray(json.features) ? json.features.slice(0, item.count) : [];
+      if (!feats.length) throw noRouteError('Provider returned no routes');
+      feats.sort(byDurationThenDistance);
+      const trip = makeTrip(item, feats, o, d, item.access ? { ...ctx, siteLabel: `${siteLabel} – ${item.access.name}` } : ctx);
+      if (item.access) {
+        trip.access = item.access.name;
+        trip.accessShare = item.access.share;
+      }
+      if (item.via) trip.via = item.via.map(p => p.slice());
+      drawTrip(trip);
+      return trip;
+    };
+
+    const job = sched.run(items, worker, { concurrency: readConcurrency(), onProgress: showProgress });
+    S.job = job;
+    const btnCancel = byId('rt-cancel');
+    if (btnCancel) btnCancel.onclick = () => job.cancel();
+
+    try {
+      const { results, cancelled } = await job.done;
+      const failures = [];
+      Array.from(results).forEach((r, i) => {
+        if (r && r.ok) S.lastTrips.push(r.value);
+        else failures.push(failureFor(items[i], r && r.error));
+      });
+      if (S.lastTrips.length || failures.length) {
+        publishCache({
+          mode,
+          provider: currentProvider().id,
+          reverse,
+          options,
+          destinations: global.DestinationPoints ? global.DestinationPoints.strategy() : 'bbox',
+          distribution: dist,
+          site: { lon: origin[0], lat: origin[1], label: siteLabel },
+          accesses: accessesOf(S.lastTrips.concat(failures.map(f => f.item))),
+          trips: S.lastTrips,
+          failures
+        });
+      }
+      // A cancelled or partly failed run keeps its tally up until the next run or Clear
+      if (!cancelled && !failures.length) showProgress(null);
+    } finally {
+      S.job = null;
+      setBusy(mode, false);
+      renderLegend(); // once per run, not per drawn trip
+    }
+  }
+
+  // Distinct accesses of a run ([] without accesses), for the report
+  function accessesOf(list) {
+    const seen = new Map();
+    list.forEach(x => {
+      const a = x.access;
+      if (!a) return;
+      const name = typeof a === 'string' ? a : a.name;
+      if (!seen.has(name)) seen.set(name, { name, share: typeof a === 'string' ? x.accessShare : a.share });
+    });
+    return Array.from(seen.values());
+  }
+
+  // Route only the failed destinations of the current run again, from the same site
+  async function retryFailed() {
+    const cache = global.ROUTING_CACHE;
+    const failures = (cache && cache.failures) || [];
+    if (!failures.length || S.job) return;
+    try {
+      const site = cache.site;
+      const origin = site ? sanitizeLonLat([site.lon, site.lat]) : getOriginLonLat();
+      await runTrips(cache.mode, failures.map(f => f.item), {
+        origin,
+        reverse: !!cache.reverse,
+        dist: cache.distribution || readDistribution(),
+        options: cache.options || readRouteOptions(),
+        siteLabel: site ? site.label : originLabelFor(),
+        keep: cache.trips || []
+      });
+    } catch (e) {
+      reportGenerateError(e);
+    }
+  }
+
+  function originLabelFor() {
+    return (global.ROUTING_ORIGIN && (global.ROUTING_ORIGIN.label || global.ROUTING_ORIGIN.name)) || 'Origin';
+  }
+
+  function reportGenerateError(e) {
+    console.error(e);
+    if (e.type === 'validation') {
+      showValidationPopup(e.invalid);
+    } else if (e.type === 'noZonesHelper') {
+      alert('Zone trip generation requires script.js to define window.getSelectedZoneTargets().');
+    } else if (e.code === 'NO_ORIGIN') {
+      alert('Please pick an origin using the address search bar before generating trips.');
+    } else {
+      alert('Routing error: ' + (e.message || e));
+    }
   }
 
   // ----- Generate for PDs (with 1–3 alternatives per PD) -----
@@ -382,92 +1311,28 @@
       const origin = getOriginLonLat();
       const reverse = !!byId('rt-reverse')?.checked;
 
+      if (global.DestinationPoints) await global.DestinationPoints.prepare();
       const requests = collectPDRequests();
       if (!requests.length) {
         alert('Select at least one Planning District.');
         return;
       }
 
-      setBusy('PD', true);
-      clearRoutes();
-
-      S.lastMode = 'PD';
-      S.lastTrips = [];
-
-      const PER_REQUEST_DELAY = 250;
-
-      for (const req of requests) {
-        const dest = sanitizeLonLat([req.lon, req.lat]);
-        const o = reverse ? dest : origin;
-        const d = reverse ? origin : dest;
-
-        const json = await getRoutes(o, d, req.count);
-        const feats = Array.isArray(json.features) ? json.features.slice(0, req.count) : [];
-        if (!feats.length) continue;
-
-        // Sort by fastest (duration), then shortest (distance)
-        feats.sort((a, b) => {
-          const pa = a.properties || {};
-          const pb = b.properties || {};
-          const sa = pa.summary || (pa.segments && pa.segments[0]) || {};
-          const sb = pb.summary || (pb.segments && pb.segments[0]) || {};
-          const da = num(sa.duration);
-          const db = num(sb.duration);
-          if (Number.isFinite(da) && Number.isFinite(db) && da !== db) return da - db;
-          const la = num(sa.distance);
-          const lb = num(sb.distance);
-          if (Number.isFinite(la) && Number.isFinite(lb) && la !== lb) return la - lb;
-          return 0;
-        });
-
-        feats.forEach((feat, idx) => {
-          const coords = feat.geometry?.coordinates || [];
-          drawRoute(coords, idx === 0 ? COLOR_FIRST : COLOR_OTHERS);
-        });
-
-        const defaultOriginLabel =
-          (global.ROUTING_ORIGIN && (global.ROUTING_ORIGIN.label || global.ROUTING_ORIGIN.name)) || 'Origin';
-        const originLabel = reverse ? req.name : defaultOriginLabel;
-        const destLabel   = reverse ? defaultOriginLabel : req.name;
-
-        S.lastTrips.push({
-          type: 'PD',
-          key: req.key,
-          name: req.name,
-          reverse,
-          origin: {
-            lon: o[0],
-            lat: o[1],
-            label: originLabel
-          },
-          destination: {
-            lon: d[0],
-            lat: d[1],
-            label: destLabel
-          },
-          features: feats.map(f => ({ geometry: f.geometry, properties: f.properties }))
-        });
-
-        await sleep(PER_REQUEST_DELAY);
+      const zw = readZoneWeighting();
+      if (zw.enabled) {
+        const { items, noZones } = expandPDsToZones(requests, zw.by);
+        if (noZones.length) {
+          alert(`No zones loaded for: ${noZones.join(', ')}. ` +
+            (items.length ? 'Those PDs are skipped.' : 'Turn off zone weighting to route to the PD points.'));
+        }
+        if (!items.length) return;
+        await runTrips('PDZ', withAccesses(withVias(items, 'PDZ')), { origin, reverse, dist: readDistribution() });
+        return;
       }
 
-      // Expose a simple cache for report.js to consume later
-      global.ROUTING_CACHE = {
-        mode: 'PD',
-        reverse,
-        trips: S.lastTrips
-      };
+      await runTrips('PD', withAccesses(withVias(requests, 'PD')), { origin, reverse, dist: readDistribution() });
     } catch (e) {
-      console.error(e);
-      if (e.type === 'validation') {
-        showValidationPopup(e.invalid);
-      } else if (e.code === 'NO_ORIGIN') {
-        alert('Please pick an origin using the address search bar before generating trips.');
-      } else {
-        alert('Routing error: ' + (e.message || e));
-      }
-    } finally {
-      setBusy('PD', false);
+      reportGenerateError(e);
     }
   }
 
@@ -477,73 +1342,17 @@
       const origin = getOriginLonLat();
       const reverse = !!byId('rt-reverse')?.checked;
 
+      if (global.DestinationPoints) await global.DestinationPoints.prepare();
       const targets = collectZoneTargets();
       if (!targets.length) {
         alert('No Planning Zones selected. Engage zones and/or provide a getSelectedZoneTargets() helper.');
         return;
       }
 
-      setBusy('PZ', true);
-      clearRoutes();
-
-      S.lastMode = 'PZ';
-      S.lastTrips = [];
-
-      const PER_REQUEST_DELAY = 250;
-
-      for (const t of targets) {
-        const dest = sanitizeLonLat([t.lon, t.lat]);
-        const o = reverse ? dest : origin;
-        const d = reverse ? origin : dest;
-
-        const json = await getRoutes(o, d, 1);
-        const feat = Array.isArray(json.features) ? json.features[0] : null;
-        if (!feat) continue;
-
-        const coords = feat.geometry?.coordinates || [];
-        drawRoute(coords, COLOR_FIRST);
-
-        const defaultOriginLabel =
-          (global.ROUTING_ORIGIN && (global.ROUTING_ORIGIN.label || global.ROUTING_ORIGIN.name)) || 'Origin';
-        const originLabel = reverse ? (t.label || 'Zone') : defaultOriginLabel;
-        const destLabel   = reverse ? defaultOriginLabel : (t.label || 'Zone');
-
-        S.lastTrips.push({
-          type: 'PZ',
-          label: t.label || 'Zone',
-          reverse,
-          origin: {
-            lon: o[0],
-            lat: o[1],
-            label: originLabel
-          },
-          destination: {
-            lon: d[0],
-            lat: d[1],
-            label: destLabel
-          },
-          features: [ { geometry: feat.geometry, properties: feat.properties } ]
-        });
-
-        await sleep(PER_REQUEST_DELAY);
-      }
-
-      global.ROUTING_CACHE = {
-        mode: 'PZ',
-        reverse,
-        trips: S.lastTrips
-      };
+      const items = withAccesses(withVias(targets.map(t => ({ ...t, count: 1 })), 'PZ'));
+      await runTrips('PZ', items, { origin, reverse, dist: readDistribution() });
     } catch (e) {
-      console.error(e);
-      if (e.type === 'noZonesHelper') {
-        alert('Zone trip generation requires script.js to define window.getSelectedZoneTargets().');
-      } else if (e.code === 'NO_ORIGIN') {
-        alert('Please pick an origin using the address search bar before generating trips.');
-      } else {
-        alert('Routing error: ' + (e.message || e));
-      }
-    } finally {
-      setBusy('PZ', false);
+      reportGenerateError(e);
     }
   }
 
@@ -555,10 +1364,63 @@
     const btnSaveKey = byId('rt-save');
     const btnUseUrl  = byId('rt-url');
     const inpKeys    = byId('rt-keys');
+    const selProv    = byId('rt-provider');
 
     if (btnPD)    btnPD.onclick    = () => generateForPDs();
     if (btnPZ)    btnPZ.onclick    = () => generateForPZs();
-    if (btnClear) btnClear.onclick = () => clearRoutes();
+    if (btnClear) {
+      btnClear.onclick = () => {
+        clearRoutes();
+        showProgress(null);
+      };
+    }
+    const btnRetry = byId('rt-retry');
+    if (btnRetry) btnRetry.onclick = () => retryFailed();
+    const cbxZones = byId('rt-pd-zones');
+    if (cbxZones) {
+      cbxZones.onchange = () => {
+        if (cbxZones.checked) fillZoneWeightSelect();
+        syncZoneWeightingUi();
+      };
+    }
+
+    ['rt-profile', 'rt-preference', ...Object.keys(AVOIDANCES).map(k => `rt-avoid-${k}`),
+      ...VEHICLE_FIELDS.map(([k]) => `rt-hgv-${k}`)].forEach(id => {
+      const el = byId(id);
+      if (el) el.onchange = syncRouteOptionsUi;
+    });
+    syncRouteOptionsUi();
+
+    const selColors = byId('rt-route-colors');
+    const cbxLegend = byId('rt-route-legend');
+    if (selColors) selColors.onchange = () => setRouteColoring(selColors.value);
+    if (cbxLegend) cbxLegend.onchange = renderLegend;
+
+    const inpConc = byId('rt-concurrency');
+    if (inpConc) {
+      inpConc.value = localStorage.getItem(LS_CONCURRENCY) || inpConc.value;
+      inpConc.onchange = () => {
+        inpConc.value = String(readConcurrency());
+        localStorage.setItem(LS_CONCURRENCY, inpConc.value);
+      };
+    }
+
+    if (selProv && global.RoutingProviders) {
+      selProv.innerHTML = global.RoutingProviders.list()
+        .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`)
+        .join('');
+      selProv.value = currentProvider().id;
+      const preload = () => {
+        if (selProv.value === 'local' && global.Centrelines) {
+          global.Centrelines.load().catch(err => console.warn('Centreline load failed:', err));
+        }
+      };
+      selProv.onchange = () => {
+        localStorage.setItem(LS_PROVIDER, selProv.value);
+        preload();
+      };
+      preload();
+    }
 
     if (btnSaveKey && inpKeys) {
       btnSaveKey.onclick = () => {
@@ -599,8 +1461,89 @@
             <input type="checkbox" id="rt-reverse">
             Reverse direction (PD/PZ → origin)
           </label>
+          <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;cursor:pointer;margin-top:4px;">
+            <input type="checkbox" id="rt-pd-zones">
+            Zone-weighted PD trips (route to every zone)
+          </label>
+          <div id="rt-pd-zones-opts" class="routing-row" style="margin-top:4px;flex-wrap:nowrap;" hidden>
+            <label for="rt-pd-zone-weight" style="font-size:0.9em;white-space:nowrap;">Weight zones by</label>
+            <select id="rt-pd-zone-weight"><option value="equal">Equally</option></select>
+          </div>
+        </div>
+        <div id="rt-progress" class="rt-progress" hidden role="progressbar" aria-valuemin="0" aria-valuemax="100">
+          <div class="rt-progress-bar"><span id="rt-progress-done"></span><span id="rt-progress-failed" class="failed"></span></div>
+          <div class="rt-progress-row">
+            <small id="rt-progress-text"></small>
+            <button id="rt-cancel" type="button" class="ghost">Cancel</button>
+          </div>
         </div>
+        <div id="rt-failures" class="rt-failures" hidden>
+          <div class="rt-failures-head">
+            <strong id="rt-failures-title"></strong>
+            <button id="rt-retry" type="button">Retry failed</button>
+          </div>
+          <ul id="rt-failures-list"></ul>
+        </div>
+        <div style="margin-bottom:8px;">
+          <label for="rt-provider" style="font-size:0.9em;display:block;margin-bottom:4px;">Routing provider</label>
+          <select id="rt-provider"></select>
+        </div>
+        <div style="margin-bottom:8px;display:flex;align-items:center;gap:8px;">
+          <label for="rt-concurrency" style="font-size:0.9em;flex:1;">Parallel requests</label>
+          <input id="rt-concurrency" type="number" min="1" max="8" step="1" value="2" style="width:64px;">
+        </div>
+        <div style="margin-bottom:8px;display:flex;align-items:center;gap:8px;">
+          <label for="rt-route-colors" style="font-size:0.9em;flex:1;">Route colours</label>
+          <select id="rt-route-colors" style="width:auto;">
+            ${Object.entries(ROUTE_COLORINGS).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+          </select>
+          <label style="font-size:0.9em;display:flex;align-items:center;gap:4px;cursor:pointer;" title="Show the route legend on the map">
+            <input type="checkbox" id="rt-route-legend" checked> Legend
+          </label>
+        </div>
+        <details id="rt-options-section">
+          <summary><strong>Travel options</strong> <small id="rt-options-summary" class="rt-options-summary"></small></summary>
+          <div class="routing-card">
+            <label for="rt-profile" style="font-weight:600;">Vehicle profile</label>
+            <select id="rt-profile">
+              ${Object.entries(PROFILES).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+            </select>
+            <label for="rt-preference" style="font-weight:600;display:block;margin-top:6px;">Route preference</label>
+            <select id="rt-preference">
+              ${Object.entries(PREFERENCES).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+            </select>
+            <div style="font-weight:600;margin-top:6px;">Avoid</div>
+            ${Object.entries(AVOIDANCES).map(([k, l]) => `
+            <label style="font-size:0.9em;display:flex;align-items:center;gap:6px;cursor:pointer;">
+              <input type="checkbox" id="rt-avoid-${k}"> ${l}
+            </label>`).join('')}
+            <div id="rt-hgv" class="rt-hgv" hidden>
+              ${VEHICLE_FIELDS.map(([k, l, unit]) => `
+              <label for="rt-hgv-${k}">${l} (${unit})</label>
+              <input id="rt-hgv-${k}" type="number" min="0" step="0.01">`).join('')}
+            </div>
+            <small class="routing-hint">
+              Stored with every trip and printed in the report header. ORS matrices ignore
+              avoidances; the offline router avoids roads but has no truck restrictions.
+            </small>
+          </div>
+        </details>
         <details>
+          <summary><strong>Trip distribution</strong></summary>
+          <div class="routing-card">
+            <label for="rt-dist-label" style="font-weight:600;">Period / direction</label>
+            <input id="rt-dist-label" type="text" placeholder="e.g. AM peak inbound">
+            <label for="rt-dist-total" style="font-weight:600;display:block;margin-top:6px;">Site trips (veh)</label>
+            <input id="rt-dist-total" type="number" min="0" step="1" placeholder="e.g. 250">
+            <label for="rt-dist-weights" style="font-weight:600;display:block;margin-top:6px;">Route split weights (1st,2nd,3rd)</label>
+            <input id="rt-dist-weights" type="text" value="70,20,10">
+            <small class="routing-hint">
+              Enter a % per PD in the Planning Districts list, or per selected zone.
+              Each share is split over its routes by these weights.
+            </small>
+          </div>
+        </details>
+        <details id="rt-keys-section">
           <summary><strong>Keys</strong></summary>
           <div class="routing-card">
             <label for="rt-keys" style="font-weight:600;">OpenRouteService key(s)</label>
@@ -627,7 +1570,29 @@
     hydrateKeys();
     S.group = L.layerGroup().addTo(map);
     map.addControl(new GeneratorControl());
-    setTimeout(wireControls, 0);
+    setTimeout(() => {
+      wireControls();
+      if (global.AppState) global.AppState.register('trips', { save: saveState, load: loadState });
+      S.control = document.querySelector('.routing-control');
+      S.onReady.splice(0).forEach(fn => fn(S.control));
+    }, 0);
+  }
+
+  // Run fn(controlEl) once the Trip Generator is on the map
+  function whenReady(fn) {
+    if (S.control) fn(S.control);
+    else S.onReady.push(fn);
+  }
+
+  // Let other modules add a collapsible section above Keys
+  function addSection(title, html, { id, open = false } = {}) {
+    whenReady((el) => {
+      const det = document.createElement('details');
+      if (id) det.id = id;
+      det.open = open;
+      det.innerHTML = `<summary><strong>${escapeHtml(title)}</strong></summary><div class="routing-card">${html}</div>`;
+      el.insertBefore(det, byId('rt-keys-section'));
+    });
   }
 
   const Routing = {
@@ -638,7 +1603,18 @@
         return retry();
       }
       innerInit(map);
-    }
+    },
+    whenReady,
+    addSection,
+    getMatrix,
+    matrixLimit,
+    getIsochrones,
+    routeOptions: readRouteOptions,
+    describeRouteOptions,
+    isRouteVisible: (trip, idx) => !(lineOf(trip, idx) || {}).hidden,
+    setRouteVisible,
+    excludeRoute,
+    highlightTrip: (trip) => highlight(trip ? (e => e.trip === trip) : null)
   };
 
   global.Routing = Routing;
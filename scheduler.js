@@ -0,0 +1,172 @@
+(function (global) {
+  'use strict';
+
+  // Request scheduling for routing calls.
+  //
+  // gate   – one shared throttle for every network request: starts are spaced
+  //          by minInterval, and a hold (HTTP 429, or ORS reporting zero
+  //          remaining quota) pauses everybody until the limit resets.
+  // run()  – N workers pull items off a queue; rate-limited items go back on
+  //          the queue with exponential backoff, other failures are recorded
+  //          and the rest keep going. cancel() aborts in-flight fetches and
+  //          drops what is still queued.
+
+  const MAX_BACKOFF_MS = 60000;
+
+  // ===== Small helpers =====
+  function abortError() {
+    const err = new Error('Cancelled');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  // Resolves after ms, or rejects as soon as signal aborts
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) { reject(abortError()); return; }
+      const t = setTimeout(done, ms);
+      function done() {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }
+      function onAbort() {
+        clearTimeout(t);
+        reject(abortError());
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  function rateLimitError(message, retryAfterMs) {
+    const err = new Error(message);
+    err.code = 'RATE_LIMIT';
+    err.retryAfter = retryAfterMs;
+    return err;
+  }
+
+  // Retry-After is either seconds or an HTTP date
+  function retryAfterMs(headers) {
+    const raw = headers && headers.get && headers.get('retry-after');
+    if (!raw) return null;
+    const secs = Number(raw);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(raw);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+  }
+
+  function backoffMs(tries) {
+    const base = Math.min(MAX_BACKOFF_MS, 1000 * Math.pow(2, tries - 1));
+    return base * (0.8 + Math.random() * 0.4);
+  }
+
+  // ===== Shared gate =====
+  const gate = {
+    minInterval: 250,
+    holdUntil: 0,
+    lastStart: 0,
+
+    // Wait for this request's turn (cancellable)
+    async wait(signal) {
+      for (;;) {
+        const now = Date.now();
+        const at = Math.max(this.holdUntil, this.lastStart + this.minInterval);
+        if (now >= at) {
+          this.lastStart = now;
+          return;
+        }
+        await sleep(Math.min(at - now, 1000), signal);
+      }
+    },
+
+    hold(ms) {
+      this.holdUntil = Math.max(this.holdUntil, Date.now() + ms);
+    },
+
+    // ORS sends x-ratelimit-remaining and x-ratelimit-reset (epoch seconds)
+    noteHeaders(headers) {
+      if (!headers || !headers.get) return;
+      const remaining = Number(headers.get('x-ratelimit-remaining'));
+      const reset = Number(headers.get('x-ratelimit-reset'));
+      if (headers.get('x-ratelimit-remaining') != null && remaining <= 0 && Number.isFinite(reset)) {
+        this.holdUntil = Math.max(this.holdUntil, reset * 1000);
+      }
+    }
+  };
+
+  // ===== Queue =====
+  // worker(item, { signal, attempt }) -> Promise<value>
+  // onProgress({ total, done, failed, running, remaining, cancelled, waitingUntil })
+  // Returns { done: Promise<{ results, cancelled }>, cancel() } where
+  // results[i] is { ok, value } / { ok: false, error } / undefined (not run).
+  function run(items, worker, { concurrency = 2, maxRetries = 4, onProgress } = {}) {
+    const controller = new AbortController();
+    const total = items.length;
+    const results = new Array(total);
+    const queue = items.map((item, i) => ({ item, i, tries: 0 }));
+    const counts = { done: 0, failed: 0, running: 0 };
+    let cancelled = false;
+
+    const report = () => {
+      if (!onProgress) return;
+      onProgress({
+        total,
+        done: counts.done,
+        failed: counts.failed,
+        running: counts.running,
+        remaining: total - counts.done - counts.failed,
+        cancelled,
+        waitingUntil: gate.holdUntil > Date.now() ? gate.holdUntil : null
+      });
+    };
+
+    async function loop() {
+      while (!cancelled && queue.length) {
+        const job = queue.shift();
+        counts.running++;
+        report();
+        try {
+          const value = await worker(job.item, { signal: controller.signal, attempt: job.tries });
+          results[job.i] = { ok: true, value };
+          counts.done++;
+        } catch (err) {
+          if (cancelled || err.name === 'AbortError') {
+            // dropped
+          } else if (err.code === 'RATE_LIMIT' && job.tries < maxRetries) {
+            job.tries++;
+            gate.hold(err.retryAfter != null ? err.retryAfter : backoffMs(job.tries));
+            queue.unshift(job);
+          } else {
+            results[job.i] = { ok: false, error: err };
+            counts.failed++;
+          }
+        } finally {
+          counts.running--;
+          report();
+        }
+      }
+    }
+
+    report();
+    const n = Math.max(1, Math.min(concurrency | 0 || 1, total));
+    const done = Promise.all(Array.from({ length: n }, loop))
+      .then(() => ({ results, cancelled }));
+
+    return {
+      done,
+      cancel() {
+        if (cancelled) return;
+        cancelled = true;
+        controller.abort();
+        report();
+      }
+    };
+  }
+
+  global.RequestScheduler = {
+    gate,
+    run,
+    sleep,
+    rateLimitError,
+    retryAfterMs
+  };
+})(window);
@@ -0,0 +1,364 @@
+(function (global) {
+  'use strict';
+
+  // Screenlines (polylines) and cordons (polygons) drawn on the map and saved
+  // with the session. Every generated route is tested against them: each
+  // crossing records the direction and the street the route is on there.
+  //
+  // Screenline directions are the two compass bounds across the line as a
+  // whole (a north–south line is crossed EB or WB); cordon crossings are
+  // Inbound or Outbound. Streets come from the route's steps, or from the
+  // centreline inventory when the report matches streets. report.js sums the
+  // crossings into route counts and distributed volumes.
+
+  const KINDS = { screenline: 'Screenline', cordon: 'Cordon' };
+
+  const S = {
+    map: null,
+    group: null,
+    items: [],          // { name, kind: 'screenline' | 'cordon', coords: [[lon, lat], ...] }
+    drawing: null       // { kind, coords, line } while clicking vertices
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+  const isFiniteNum = (n) => Number.isFinite(n) && !Number.isNaN(n);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function status(msg) {
+    const el = byId('rt-sl-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  function stepsOf(feat) {
+    const segs = (feat.properties && feat.properties.segments) || [];
+    return segs.reduce((a, s) => a.concat(s.steps || []), []);
+  }
+
+  // ===== Geometry (lon/lat treated as planar; crossings are affine-invariant) =====
+  const cross = (ax, ay, bx, by) => ax * by - ay * bx;
+
+  // Where p→q crosses a→b: { t along p→q, side } or null. side > 0 when p→q
+  // runs from the right of a→b to its left. Half-open ranges so a crossing at a
+  // shared vertex counts once.
+  function segmentCrossing(p, q, a, b) {
+    const rx = q[0] - p[0], ry = q[1] - p[1];
+    const sx = b[0] - a[0], sy = b[1] - a[1];
+    const den = cross(rx, ry, sx, sy);
+    if (!den) return null;
+    const t = cross(a[0] - p[0], a[1] - p[1], sx, sy) / den;
+    const u = cross(a[0] - p[0], a[1] - p[1], rx, ry) / den;
+    if (t < 0 || t >= 1 || u < 0 || u >= 1) return null;
+    return { t, side: den < 0 ? 1 : -1 };
+  }
+
+  function ringOf(item) {
+    const ring = item.coords.slice();
+    const first = ring[0], last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push(first);
+    return ring;
+  }
+
+  // Twice the signed area; > 0 for an anticlockwise ring (interior on the left)
+  function ringArea(ring) {
+    let a = 0;
+    for (let i = 1; i < ring.length; i++) a += cross(ring[i - 1][0], ring[i - 1][1], ring[i][0], ring[i][1]);
+    return a;
+  }
+
+  // Compass bounds across a screenline: [left-to-right, right-to-left] of first→last
+  function screenlineBounds(item) {
+    const R = global.Report;
+    const a = item.coords[0], b = item.coords[item.coords.length - 1];
+    if (!R) return ['Right', 'Left'];
+    const h = R.bearingDeg(a, b);
+    return [R.boundFrom((h + 90) % 360), R.boundFrom((h + 270) % 360)];
+  }
+
+  // ===== Crossings =====
+  // Street name per coordinate pair of a route
+  function segmentStreets(feat, coords, match) {
+    const R = global.Report;
+    const names = new Array(Math.max(0, coords.length - 1)).fill('');
+    stepsOf(feat).forEach(st => {
+      const wp = st.way_points || [];
+      const nm = R ? R.stepName(st) : (st.name || '');
+      for (let i = Math.max(0, wp[0] || 0); i < Math.min(names.length, wp[1] ?? 0); i++) names[i] = nm;
+    });
+    if (match && global.Centrelines && global.Centrelines.isLoaded()) {
+      global.Centrelines.match(coords).forEach(r => {
+        if (r.f < 0) return;
+        for (let i = r.i0; i < Math.min(names.length, r.i1); i++) names[i] = r.name;
+      });
+    }
+    return names;
+  }
+
+  // [{ item, name, kind, dir, street, at: [lon, lat] }] in order along one route
+  function crossingsOf(feat, opts = {}) {
+    const coords = (feat && feat.geometry && feat.geometry.coordinates) || [];
+    if (coords.length < 2 || !S.items.length) return [];
+    const streets = segmentStreets(feat, coords, opts.match);
+    const out = [];
+    S.items.forEach((item, k) => {
+      const cordon = item.kind === 'cordon';
+      const line = cordon ? ringOf(item) : item.coords;
+      if (line.length < 2) return;
+      const ccw = cordon && ringArea(line) > 0;
+      const bounds = cordon ? null : screenlineBounds(item);
+      for (let i = 1; i < coords.length; i++) {
+        const p = coords[i - 1], q = coords[i];
+        for (let j = 1; j < line.length; j++) {
+          const c = segmentCrossing(p, q, line[j - 1], line[j]);
+          if (!c) continue;
+          const dir = cordon
+            ? ((c.side > 0) === ccw ? 'Inbound' : 'Outbound')
+            : bounds[c.side > 0 ? 1 : 0];
+          out.push({
+            item: k,
+            name: item.name,
+            kind: item.kind,
+            dir,
+            street: streets[i - 1] || 'Unnamed segment',
+            at: [p[0] + (q[0] - p[0]) * c.t, p[1] + (q[1] - p[1]) * c.t],
+            order: i - 1 + c.t
+          });
+        }
+      }
+    });
+    return out.sort((a, b) => a.order - b.order);
+  }
+
+  // Crossings of every reported route, summed per screenline × direction × street:
+  // [{ item, name, kind, dir, street, routes, veh }] in drawing order
+  function summarise(cache, opts = {}) {
+    const rows = new Map();
+    let hasVol = false;
+    ((cache && cache.trips) || []).forEach(trip => {
+      (trip.features || []).forEach((feat, idx) => {
+        if (Array.isArray(trip.excluded) && trip.excluded.includes(idx)) return;
+        const vol = Array.isArray(trip.routeVolumes) ? trip.routeVolumes[idx] : null;
+        if (isFiniteNum(vol)) hasVol = true;
+        crossingsOf(feat, opts).forEach(c => {
+          const key = `${c.item}|${c.dir}|${c.street}`;
+          let row = rows.get(key);
+          if (!row) {
+            row = { item: c.item, name: c.name, kind: c.kind, dir: c.dir, street: c.street, routes: 0, veh: 0 };
+            rows.set(key, row);
+          }
+          row.routes += 1;
+          row.veh += isFiniteNum(vol) ? vol : 0;
+        });
+      });
+    });
+    const list = Array.from(rows.values()).sort((a, b) =>
+      a.item - b.item || a.dir.localeCompare(b.dir) || b.routes - a.routes || a.street.localeCompare(b.street));
+    return { rows: list, hasVol };
+  }
+
+  // ===== Map layer =====
+  function draw() {
+    if (S.group) S.group.clearLayers();
+    else S.group = L.layerGroup().addTo(S.map);
+    S.items.forEach(item => {
+      const latlngs = item.coords.map(p => [p[1], p[0]]);
+      const layer = item.kind === 'cordon'
+        ? L.polygon(latlngs, { color: '#6a1b9a', weight: 2.5, fillOpacity: 0.05, interactive: false })
+        : L.polyline(latlngs, { color: '#c2185b', weight: 3, dashArray: '8 4', interactive: false });
+      layer.bindTooltip(escapeHtml(item.name), { permanent: true, direction: 'center', className: 'sl-label' });
+      layer.addTo(S.group);
+    });
+  }
+
+  function renderList() {
+    const box = byId('rt-sl-list');
+    if (box) {
+      const counts = countsByItem();
+      box.innerHTML = S.items.map((item, i) => `
+        <div class="sl-row" data-i="${i}">
+          <span class="sl-kind sl-${item.kind}" title="${KINDS[item.kind]}"></span>
+          <input type="text" class="sl-name" value="${escapeHtml(item.name)}" title="${KINDS[item.kind]} name">
+          <small class="sl-count">${counts[i] ? `${counts[i]} crossing${counts[i] === 1 ? '' : 's'}` : ''}</small>
+          <span class="sl-remove" title="Remove">×</span>
+        </div>`).join('');
+    }
+    draw();
+  }
+
+  function countsByItem() {
+    const counts = S.items.map(() => 0);
+    summarise(global.ROUTING_CACHE).rows.forEach(r => { counts[r.item] += r.routes; });
+    return counts;
+  }
+
+  // ===== Drawing =====
+  // Capture-phase clicks on the map container, like origin.js's picking, so
+  // PD/zone polygons underneath do not select themselves. Clicks on the map
+  // controls (Finish, Cancel) pass through.
+  function onDrawClick(ev) {
+    if (!S.drawing || ev.target.closest('.leaflet-control')) return;
+    ev.stopPropagation();
+    ev.preventDefault();
+    const ll = S.map.mouseEventToLatLng(ev);
+    const pts = S.drawing.coords;
+    const last = pts[pts.length - 1];
+    // A double-click lands twice on the same spot
+    if (last && S.map.latLngToContainerPoint([last[1], last[0]]).distanceTo(S.map.mouseEventToContainerPoint(ev)) < 4) return;
+    pts.push([ll.lng, ll.lat]);
+    S.drawing.line.setLatLngs(pts.map(p => [p[1], p[0]]));
+    drawHint();
+  }
+
+  function onDrawDblClick(ev) {
+    if (!S.drawing || ev.target.closest('.leaflet-control')) return;
+    ev.stopPropagation();
+    ev.preventDefault();
+    finishDrawing();
+  }
+
+  function onDrawKey(ev) {
+    if (!S.drawing) return;
+    if (ev.key === 'Enter') finishDrawing();
+    if (ev.key === 'Escape') stopDrawing('Drawing cancelled.');
+  }
+
+  const minPoints = (kind) => (kind === 'cordon' ? 3 : 2);
+
+  function drawHint() {
+    const d = S.drawing;
+    const left = minPoints(d.kind) - d.coords.length;
+    status(left > 0
+      ? `Click the map to add points (${left} more needed). Esc cancels.`
+      : `${d.coords.length} points. Double-click, Enter or Finish to end; Esc cancels.`);
+  }
+
+  function startDrawing(kind) {
+    stopDrawing();
+    const line = L.polyline([], { color: '#333', weight: 2, dashArray: '4 4', interactive: false }).addTo(S.map);
+    S.drawing = { kind, coords: [], line };
+    const el = S.map.getContainer();
+    el.classList.add('sl-drawing');
+    el.addEventListener('click', onDrawClick, true);
+    el.addEventListener('dblclick', onDrawDblClick, true);
+    const row = byId('rt-sl-drawing');
+    if (row) row.hidden = false;
+    drawHint();
+  }
+
+  function stopDrawing(msg) {
+    if (!S.drawing) return;
+    S.map.removeLayer(S.drawing.line);
+    S.drawing = null;
+    const el = S.map.getContainer();
+    el.classList.remove('sl-drawing');
+    el.removeEventListener('click', onDrawClick, true);
+    el.removeEventListener('dblclick', onDrawDblClick, true);
+    const row = byId('rt-sl-drawing');
+    if (row) row.hidden = true;
+    status(msg || '');
+  }
+
+  function finishDrawing() {
+    const d = S.drawing;
+    if (!d) return;
+    if (d.coords.length < minPoints(d.kind)) {
+      drawHint();
+      return;
+    }
+    const n = S.items.filter(it => it.kind === d.kind).length + 1;
+    const item = { name: `${KINDS[d.kind]} ${n}`, kind: d.kind, coords: d.coords.slice() };
+    S.items.push(item);
+    stopDrawing(`${item.name} added.`);
+    renderList();
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const on = (id, fn) => { const el = byId(id); if (el) el.onclick = fn; };
+    on('rt-sl-line', () => startDrawing('screenline'));
+    on('rt-sl-cordon', () => startDrawing('cordon'));
+    on('rt-sl-finish', finishDrawing);
+    on('rt-sl-cancel', () => stopDrawing('Drawing cancelled.'));
+    const box = byId('rt-sl-list');
+    if (box) {
+      box.oninput = (e) => {
+        const row = e.target.closest('.sl-row');
+        const item = row && S.items[Number(row.dataset.i)];
+        if (!item || !e.target.classList.contains('sl-name')) return;
+        item.name = e.target.value.trim() || `${KINDS[item.kind]} ${Number(row.dataset.i) + 1}`;
+        draw();
+      };
+      box.onclick = (e) => {
+        if (!e.target.closest('.sl-remove')) return;
+        S.items.splice(Number(e.target.closest('.sl-row').dataset.i), 1);
+        renderList();
+      };
+    }
+    document.addEventListener('keydown', onDrawKey);
+    document.addEventListener('routing:updated', renderList);
+
+    if (global.AppState) {
+      global.AppState.register('screenlines', {
+        save: () => S.items.map(it => ({ name: it.name, kind: it.kind, coords: it.coords })),
+        load: (rows) => {
+          S.items = (rows || [])
+            .filter(r => r && KINDS[r.kind] && Array.isArray(r.coords))
+            .map(r => ({
+              name: String(r.name || KINDS[r.kind]),
+              kind: r.kind,
+              coords: r.coords
+                .filter(p => Array.isArray(p) && p.length >= 2)
+                .map(p => [Number(p[0]), Number(p[1])])
+                .filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]))
+            }))
+            .filter(it => it.coords.length >= minPoints(it.kind));
+          renderList();
+        }
+      });
+    }
+    renderList();
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Screenlines & cordons', `
+      <div class="routing-row" style="margin-top:0;">
+        <button id="rt-sl-line" type="button">Draw screenline</button>
+        <button id="rt-sl-cordon" type="button">Draw cordon</button>
+      </div>
+      <div id="rt-sl-drawing" class="routing-row" hidden>
+        <button id="rt-sl-finish" type="button">Finish</button>
+        <button id="rt-sl-cancel" type="button" class="ghost">Cancel</button>
+      </div>
+      <div id="rt-sl-list"></div>
+      <small class="routing-hint" id="rt-sl-status">
+        The report counts the routes and volumes crossing each one, by direction and street.
+      </small>
+    `, { id: 'rt-sl-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.Screenlines = {
+    list: () => S.items.map(it => ({ name: it.name, kind: it.kind, coords: it.coords.map(p => p.slice()) })),
+    crossings: crossingsOf,
+    summarise,
+    KINDS
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);
@@ -2,6 +2,20 @@
 const map = L.map('map').setView([43.6532, -79.3832], 11);
 window.map = map; // expose for routing.js / report.js
 
+// Checked PDs or selected zones changed (destinations.js redraws its points)
+function notifySelectionChanged() {
+  document.dispatchEvent(new CustomEvent('selection:changed'));
+}
+
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
   maxZoom: 19,
   attribution: '© OpenStreetMap'
@@ -9,9 +23,9 @@ L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
 
 // Geocoder (non-fatal if missing)
 try {
-  const geocoderCtl = L.Control.geocoder({ collapsed: false, defaultMarkGeocode: true }).addTo(map);
+  const geocoderCtl = L.Control.geocoder({ collapsed: false, defaultMarkGeocode: false }).addTo(map);
 
-  // Remember last picked address for routing.js to use as origin
+  // Last picked address becomes the origin (a draggable pin, see _setOrigin)
   geocoderCtl.on('markgeocode', (e) => {
     const c = e.geocode.center;
     const labelFrom = () => {
@@ -20,18 +34,65 @@ try {
       return `${c.lat.toFixed(5)}, ${c.lng.toFixed(5)}`;
     };
 
-    window.ROUTING_ORIGIN = {
-      lat: c.lat,
-      lon: c.lng,
-      latlng: c,
-      label: labelFrom(),
-      geocode: e.geocode
-    };
+    window._setOrigin({ lat: c.lat, lon: c.lng, label: labelFrom(), geocode: e.geocode });
+    if (e.geocode.bbox) map.fitBounds(e.geocode.bbox);
+    else map.setView(c, Math.max(map.getZoom(), 16));
   });
 } catch (err) {
   console.warn('Geocoder not loaded:', err);
 }
 
+// Map view; a restored view (session or link) wins over the initial fit to all PDs
+let viewRestored = false;
+window.AppState.register('view', {
+  save: () => {
+    const c = map.getCenter();
+    return { lat: +c.lat.toFixed(5), lon: +c.lng.toFixed(5), zoom: map.getZoom() };
+  },
+  load: (v) => {
+    if (!v || !Number.isFinite(Number(v.lat)) || !Number.isFinite(Number(v.lon))) return;
+    viewRestored = true;
+    map.setView([Number(v.lat), Number(v.lon)], Number.isFinite(Number(v.zoom)) ? Number(v.zoom) : map.getZoom());
+  }
+});
+
+// The origin pin (geocoder, typed coordinates, map pick, sessions, links).
+// Dragging it moves ROUTING_ORIGIN onto the driveway; 'origin:changed' fires
+// on every change.
+let originMarker = null;
+function notifyOriginChanged() {
+  document.dispatchEvent(new CustomEvent('origin:changed', { detail: { origin: window.ROUTING_ORIGIN } }));
+}
+
+window._setOrigin = function _setOrigin(o) {
+  if (originMarker) { originMarker.remove(); originMarker = null; }
+  if (!o || !Number.isFinite(Number(o.lat)) || !Number.isFinite(Number(o.lon))) {
+    window.ROUTING_ORIGIN = undefined;
+    notifyOriginChanged();
+    return;
+  }
+  const latlng = L.latLng(Number(o.lat), Number(o.lon));
+  window.ROUTING_ORIGIN = { lat: latlng.lat, lon: latlng.lng, latlng, label: o.label || '' };
+  if (o.geocode) window.ROUTING_ORIGIN.geocode = o.geocode;
+  originMarker = L.marker(latlng, { title: o.label || 'Origin', draggable: true }).addTo(map);
+  // The label comes from geocoders, sessions and links: shown as text, never markup
+  if (o.label) originMarker.bindTooltip(document.createTextNode(String(o.label)));
+  originMarker.on('dragend', () => {
+    const ll = originMarker.getLatLng();
+    Object.assign(window.ROUTING_ORIGIN, { lat: ll.lat, lon: ll.lng, latlng: ll });
+    notifyOriginChanged();
+  });
+  notifyOriginChanged();
+};
+
+window.AppState.register('origin', {
+  save: () => {
+    const o = window.ROUTING_ORIGIN;
+    return o ? { lat: o.lat, lon: o.lon, label: typeof o.label === 'string' ? o.label : '' } : null;
+  },
+  load: (o) => window._setOrigin(o)
+});
+
 // ===================== Helpers =====================
 function pdKeyFromProps(p) {
   const cand =
@@ -48,6 +109,18 @@ function zoneKeyFromProps(p) {
   return String(cand ?? 'Zone').trim();
 }
 
+// Ray-casting point-in-polygon for an L.LatLng against a ring of L.LatLng
+function latLngInRing(pt, ring) {
+  const x = pt.lng, y = pt.lat;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i].lng, yi = ring[i].lat;
+    const xj = ring[j].lng, yj = ring[j].lat;
+    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+  }
+  return inside;
+}
+
 // Give PD section a way to call Zones section, and vice-versa
 window._pdSelectByKey    = undefined; // (key, {zoom}) -> void
 window._pdClearSelection = undefined;
@@ -211,6 +284,13 @@ fetch(PD_URL)
                max="3"
                value="1"
                title="Number of routes to generate for this PD (0–3)">
+        <input type="number"
+               class="pd-dist-pct"
+               min="0"
+               max="100"
+               step="0.1"
+               placeholder="%"
+               title="Share of site trips distributed to this PD (%)">
       </div>
     `).join('');
 
@@ -247,7 +327,7 @@ fetch(PD_URL)
     // Show all PDs initially + fit
     pdIndex.forEach(show);
     try {
-      map.fitBounds(L.featureGroup(pdIndex.map(i => i.layer)).getBounds(), { padding: [20, 20] });
+      if (!viewRestored) map.fitBounds(L.featureGroup(pdIndex.map(i => i.layer)).getBounds(), { padding: [20, 20] });
     } catch {}
 
     // Checkbox visibility
@@ -264,6 +344,7 @@ fetch(PD_URL)
         hide(item);
         if (selectedKey === key) clearPDSelection();
       }
+      notifySelectionChanged();
     });
 
     // Click name to toggle / select
@@ -278,6 +359,7 @@ fetch(PD_URL)
       if (cbx && !cbx.checked) {
         cbx.checked = true;
         show(item);
+        notifySelectionChanged();
       }
       if (selectedKey === key) clearPDSelection();
       else selectPD(item, { zoom: true });
@@ -287,6 +369,7 @@ fetch(PD_URL)
     btnAll.addEventListener('click', () => {
       document.querySelectorAll('.pd-cbx').forEach(c => { c.checked = true; });
       pdIndex.forEach(show);
+      notifySelectionChanged();
       try {
         map.fitBounds(L.featureGroup(pdIndex.map(i => i.layer)).getBounds(), { padding: [20, 20] });
       } catch {}
@@ -296,6 +379,7 @@ fetch(PD_URL)
       document.querySelectorAll('.pd-cbx').forEach(c => { c.checked = false; });
       pdIndex.forEach(hide);
       clearPDSelection();
+      notifySelectionChanged();
     });
 
     btnToggle.addEventListener('click', () => {
@@ -320,6 +404,41 @@ fetch(PD_URL)
       window.PD_REGISTRY[i.key] = { layer: i.layer, name: i.name };
     });
 
+    // Prefill the PD list from imported data: values is Map(pdKey -> { percent, count }).
+    // PDs in the map are checked with that % and route count; the rest are unchecked.
+    window._pdSetDistribution = function _pdSetDistribution(values) {
+      pdIndex.forEach(item => {
+        const cbx = document.getElementById(`pd-${encodeURIComponent(item.key)}`);
+        const row = cbx && cbx.closest('.pd-item');
+        if (!row) return;
+        const v = values.get(item.key);
+        cbx.checked = !!v;
+        row.querySelector('.pd-route-count').value = v ? String(v.count) : '0';
+        row.querySelector('.pd-dist-pct').value = v && v.percent != null ? String(v.percent) : '';
+        if (v) show(item); else hide(item);
+      });
+      notifySelectionChanged();
+    };
+
+    // Session state: the checked PDs with their route count and % text
+    window.AppState.register('pds', {
+      save: () => pdIndex.map(item => {
+        const cbx = document.getElementById(`pd-${encodeURIComponent(item.key)}`);
+        const row = cbx && cbx.closest('.pd-item');
+        return {
+          key: item.key,
+          checked: !!(cbx && cbx.checked),
+          count: row ? row.querySelector('.pd-route-count').value : '',
+          percent: row ? row.querySelector('.pd-dist-pct').value : ''
+        };
+      }),
+      load: (rows) => {
+        const values = new Map();
+        (rows || []).forEach(r => { if (r.checked) values.set(String(r.key), r); });
+        window._pdSetDistribution(values);
+      }
+    });
+
     // Helper: [lon, lat, label] for every checked PD
     window.getSelectedPDTargets = function () {
       const boxes = Array.from(document.querySelectorAll('.pd-cbx:checked'));
@@ -348,9 +467,13 @@ const ZONE_LABEL_ZOOM  = 14;
 let zonesEngaged       = false;
 const zonesGroup       = L.featureGroup(); // polygons for current PD
 const zonesLabelGroup  = L.featureGroup(); // label markers for current PD
+const zonesSelGroup    = L.featureGroup(); // selected zones outside the current PD
 const zonesByKey       = new Map();        // PD key -> [feature,...]
-const zoneLookup       = new Map();        // zoneId -> { feature, pdKey }
-let selectedZoneLayer  = null;
+const zoneLookup       = new Map();        // zoneId -> { feature, pdKey, center }
+const zoneLayersById   = new Map();        // zoneId -> polygon drawn for current PD
+const selectedZoneIds  = new Set();        // multi-select (shift/ctrl-click, box, lasso)
+const zonePercents     = new Map();        // zoneId -> distribution % (from the chips)
+let zonesPdKey         = null;             // PD whose zones are drawn
 
 const zoneBaseStyle     = { color: '#2166f3', weight: 2, fillOpacity: 0.08 };
 const zoneSelectedStyle = { color: '#0b3aa5', weight: 4, fillOpacity: 0.25 };
@@ -381,7 +504,8 @@ fetch(ZONES_URL)
 
         const zId = zoneKeyFromProps(props);
         if (!zoneLookup.has(String(zId))) {
-          zoneLookup.set(String(zId), { feature: f, pdKey });
+          const center = L.geoJSON(f).getBounds().getCenter();
+          zoneLookup.set(String(zId), { feature: f, pdKey, center });
         }
       }
     });
@@ -397,9 +521,16 @@ fetch(ZONES_URL)
             <div class="pd-actions">
               <button type="button" id="pz-engage">Engage</button>
               <button type="button" id="pz-disengage">Disengage</button>
-              <input id="pz-inline-search" class="pz-inline-search" type="text" placeholder="Zone #">
+              <input id="pz-inline-search" class="pz-inline-search" type="text" placeholder="Zone # (Enter adds to selection)">
             </div>
           </div>
+          <div class="pd-actions pz-select-actions">
+            <button type="button" id="pz-select-pd" title="Select every zone in the current PD">All in PD</button>
+            <button type="button" id="pz-box" title="Drag a rectangle to select zones">Box</button>
+            <button type="button" id="pz-lasso" title="Draw a freehand outline to select zones">Lasso</button>
+            <button type="button" id="pz-select-clear" class="ghost">Clear</button>
+          </div>
+          <div class="pz-selection" id="pz-selection"></div>
         `;
         const geocoderEl = document.querySelector('.leaflet-control-geocoder');
         if (geocoderEl) div.style.width = geocoderEl.offsetWidth + 'px';
@@ -409,27 +540,160 @@ fetch(ZONES_URL)
     });
     map.addControl(new ZonesControl());
 
-    const btnEng  = document.getElementById('pz-engage');
-    const btnDis  = document.getElementById('pz-disengage');
-    const inpZone = document.getElementById('pz-inline-search');
+    const btnEng    = document.getElementById('pz-engage');
+    const btnDis    = document.getElementById('pz-disengage');
+    const inpZone   = document.getElementById('pz-inline-search');
+    const btnSelPD  = document.getElementById('pz-select-pd');
+    const btnBox    = document.getElementById('pz-box');
+    const btnLasso  = document.getElementById('pz-lasso');
+    const btnSelClr = document.getElementById('pz-select-clear');
+    const selListEl = document.getElementById('pz-selection');
+
+    // ---- Selection (a set of zone ids, kept across PD switches) ----
+    const isMultiClick = (ev) => !!(ev && (ev.shiftKey || ev.ctrlKey || ev.metaKey));
+
+    function renderZoneSelection() {
+      // Polygons of the current PD
+      zoneLayersById.forEach((poly, zId) => {
+        poly.setStyle(selectedZoneIds.has(zId) ? zoneSelectedStyle : zoneBaseStyle);
+        if (selectedZoneIds.has(zId)) {
+          try { poly.bringToFront?.(); } catch {}
+        }
+      });
+
+      // Selected zones elsewhere stay outlined so the selection is never hidden
+      zonesSelGroup.clearLayers();
+      selectedZoneIds.forEach(zId => {
+        if (zoneLayersById.has(zId)) return;
+        const found = zoneLookup.get(zId);
+        if (!found) return;
+        const poly = L.geoJSON(found.feature, { style: zoneSelectedStyle }).getLayers()[0];
+        poly.bindTooltip(`Zone ${zId}`, { sticky: true });
+        poly.on('click', (e) => {
+          L.DomEvent.stop(e);
+          toggleZone(zId);
+        });
+        poly.addTo(zonesSelGroup);
+      });
+      if (zonesEngaged && zonesSelGroup.getLayers().length) {
+        if (!map.hasLayer(zonesSelGroup)) zonesSelGroup.addTo(map);
+      } else if (map.hasLayer(zonesSelGroup)) {
+        zonesSelGroup.remove();
+      }
+
+      // Chips in the Planning Zones control (ids of zones that do not exist are skipped)
+      const ids = Array.from(selectedZoneIds).filter(id => zoneLookup.has(id)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      selListEl.innerHTML = ids.length
+        ? `<div class="pz-selection-count">${ids.length} zone${ids.length === 1 ? '' : 's'} selected</div>` +
+          ids.map(id => `
+            <span class="zone-tag pz-chip" data-zone="${encodeURIComponent(id)}">
+              ${escapeHtml(id)}
+              <input type="number" class="pz-dist-pct" min="0" max="100" step="0.1" placeholder="%"
+                     value="${zonePercents.has(id) ? escapeHtml(zonePercents.get(id)) : ''}"
+                     title="Share of site trips distributed to zone ${escapeHtml(id)} (%)">
+              <span class="pz-chip-remove" title="Remove">×</span>
+            </span>`).join('')
+        : '';
+      btnSelPD.disabled = !zonesPdKey;
+      notifySelectionChanged();
+    }
 
     function clearZoneSelection() {
-      if (selectedZoneLayer) selectedZoneLayer.setStyle(zoneBaseStyle);
-      selectedZoneLayer = null;
+      selectedZoneIds.clear();
+      renderZoneSelection();
       try {
         map.closePopup();
       } catch {}
     }
 
-    function selectZone(layer) {
-      if (selectedZoneLayer === layer) {
-        clearZoneSelection();
+    function toggleZone(zId) {
+      if (selectedZoneIds.has(zId)) selectedZoneIds.delete(zId);
+      else selectedZoneIds.add(zId);
+      renderZoneSelection();
+    }
+
+    // Plain click: select only this zone (or unselect it if it was the only one).
+    // Shift/Ctrl/Cmd-click: add or remove it.
+    function selectZone(zId, ev) {
+      if (isMultiClick(ev)) {
+        toggleZone(zId);
         return;
       }
-      if (selectedZoneLayer) selectedZoneLayer.setStyle(zoneBaseStyle);
-      selectedZoneLayer = layer;
-      layer.setStyle(zoneSelectedStyle);
-      try { layer.bringToFront?.(); } catch {}
+      const only = selectedZoneIds.size === 1 && selectedZoneIds.has(zId);
+      selectedZoneIds.clear();
+      if (!only) selectedZoneIds.add(zId);
+      renderZoneSelection();
+    }
+
+    function selectZones(ids, { add = false } = {}) {
+      if (!add) selectedZoneIds.clear();
+      ids.forEach(id => selectedZoneIds.add(String(id)));
+      renderZoneSelection();
+    }
+
+    // ---- Box / lasso picking over all zones (by zone centre) ----
+    let pick = null; // { mode, pts, shape }
+    const pickStyle = { color: '#0b3aa5', weight: 2, dashArray: '4 4', fillOpacity: 0.05 };
+
+    function stopPick() {
+      if (!pick) return;
+      if (pick.shape) pick.shape.remove();
+      map.off('mousedown', onPickDown);
+      map.off('mousemove', onPickMove);
+      map.off('mouseup', onPickUp);
+      map.dragging.enable();
+      map.getContainer().style.cursor = '';
+      btnBox.classList.remove('active');
+      btnLasso.classList.remove('active');
+      pick = null;
+    }
+
+    function startPick(mode) {
+      const same = pick && pick.mode === mode;
+      stopPick();
+      if (same) return;
+      if (!zonesEngaged) setMode(true);
+      pick = { mode, pts: [], shape: null };
+      map.dragging.disable();
+      map.getContainer().style.cursor = 'crosshair';
+      (mode === 'box' ? btnBox : btnLasso).classList.add('active');
+      map.on('mousedown', onPickDown);
+    }
+
+    function onPickDown(e) {
+      if (!pick) return;
+      pick.add = isMultiClick(e.originalEvent);
+      pick.pts = [e.latlng];
+      pick.shape = pick.mode === 'box'
+        ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), pickStyle).addTo(map)
+        : L.polygon([e.latlng], pickStyle).addTo(map);
+      map.on('mousemove', onPickMove);
+      map.on('mouseup', onPickUp);
+    }
+
+    function onPickMove(e) {
+      if (!pick || !pick.shape) return;
+      if (pick.mode === 'box') {
+        pick.pts[1] = e.latlng;
+        pick.shape.setBounds(L.latLngBounds(pick.pts[0], e.latlng));
+      } else {
+        pick.pts.push(e.latlng);
+        pick.shape.addLatLng(e.latlng);
+      }
+    }
+
+    function onPickUp() {
+      if (!pick) return;
+      let hit = [];
+      if (pick.mode === 'box' && pick.pts.length === 2) {
+        const bounds = L.latLngBounds(pick.pts[0], pick.pts[1]);
+        zoneLookup.forEach((z, id) => { if (bounds.contains(z.center)) hit.push(id); });
+      } else if (pick.mode === 'lasso' && pick.pts.length >= 3) {
+        zoneLookup.forEach((z, id) => { if (latLngInRing(z.center, pick.pts)) hit.push(id); });
+      }
+      const add = pick.add;
+      stopPick();
+      if (hit.length) selectZones(hit, { add });
     }
 
     function updateZoneLabels() {
@@ -443,6 +707,7 @@ fetch(ZONES_URL)
 
     function setMode(engaged) {
       zonesEngaged = engaged;
+      if (!engaged) stopPick();
       btnEng.classList.toggle('active', engaged);
       btnDis.classList.toggle('active', !engaged);
 
@@ -453,6 +718,7 @@ fetch(ZONES_URL)
         // If a PD is selected, Zones will be refreshed via _zonesShowFor when PD changes.
         if (!map.hasLayer(zonesGroup)) zonesGroup.addTo(map);
         updateZoneLabels();
+        renderZoneSelection();
       }
     }
 
@@ -461,6 +727,9 @@ fetch(ZONES_URL)
       clearZoneSelection();
       zonesGroup.clearLayers();
       zonesLabelGroup.clearLayers();
+      zoneLayersById.clear();
+      zonesPdKey = null;
+      renderZoneSelection();
       if (map.hasLayer(zonesGroup))      zonesGroup.remove();
       if (map.hasLayer(zonesLabelGroup)) zonesLabelGroup.remove();
       try { map.closePopup(); } catch {}
@@ -473,11 +742,13 @@ fetch(ZONES_URL)
 
       zonesGroup.clearLayers();
       zonesLabelGroup.clearLayers();
-      clearZoneSelection();
+      zoneLayersById.clear();
+      zonesPdKey = feats.length ? String(pdKey) : null;
 
       if (!feats.length) {
         if (map.hasLayer(zonesGroup)) map.removeLayer(zonesGroup);
         if (map.hasLayer(zonesLabelGroup)) map.removeLayer(zonesLabelGroup);
+        renderZoneSelection();
         return;
       }
 
@@ -486,9 +757,11 @@ fetch(ZONES_URL)
 
       feats.forEach(f => {
         // 1) Polygon
-        const poly = L.geoJSON(f, { style: zoneBaseStyle }).getLayers()[0];
+        const poly  = L.geoJSON(f, { style: zoneBaseStyle }).getLayers()[0];
+        const zName = zoneKeyFromProps(f.properties || {});
+        zoneLayersById.set(String(zName), poly);
 
-        poly.on('click', () => selectZone(poly));
+        poly.on('click', (e) => selectZone(String(zName), e.originalEvent));
         poly.on('dblclick', (e) => {
           if (typeof window._pdClearSelection === 'function') window._pdClearSelection();
           clearZoneSelection();
@@ -500,7 +773,6 @@ fetch(ZONES_URL)
 
         // 2) Label marker (chip)
         const center    = poly.getBounds().getCenter();
-        const zName     = zoneKeyFromProps(f.properties || {});
         const labelHtml = `<span class="zone-tag">${String(zName)}</span>`;
 
         let labelIcon = L.divIcon({
@@ -531,10 +803,13 @@ fetch(ZONES_URL)
         });
 
         const POPUP_OFFSET_Y = -10;
-        labelMarker.on('click', () => {
+        labelMarker.on('click', (e) => {
           const props = f.properties || {};
-          if (selectedZoneLayer !== poly) selectZone(poly);
-          else poly.setStyle(zoneSelectedStyle);
+          if (isMultiClick(e && e.originalEvent)) {
+            toggleZone(String(zName));
+            return;
+          }
+          if (!selectedZoneIds.has(String(zName))) selectZone(String(zName));
 
           const content = `
             <div>
@@ -564,11 +839,11 @@ fetch(ZONES_URL)
           if (e.originalEvent?.preventDefault) e.originalEvent.preventDefault();
         });
 
-        // Preselect focused zone if requested
+        // Add the focused zone to the selection if requested
         if (focusZoneId && String(zName) === String(focusZoneId)) {
           pendingOpen   = () => labelMarker.fire('click');
           pendingBounds = poly.getBounds();
-          selectZone(poly);
+          selectedZoneIds.add(String(zName));
         }
 
         labelMarker.addTo(zonesLabelGroup);
@@ -578,6 +853,7 @@ fetch(ZONES_URL)
         zonesGroup.addTo(map);
       }
       updateZoneLabels();
+      renderZoneSelection();
 
       if (pendingOpen)   setTimeout(pendingOpen, 0);
       if (pendingBounds) {
@@ -585,19 +861,87 @@ fetch(ZONES_URL)
       }
     };
 
-    // Expose a helper for routing.js to get the currently selected Zone
-    // Returns an array of [lon, lat, label] (0 or 1 element).
+    // Expose a helper for routing.js to get the currently selected Zones
+    // Returns an array of { lon, lat, label, key, percent }, one per selected zone
+    // (percent is the raw text of the zone's % box, '' when blank). The point
+    // follows the destinations.js strategy (zone bounds centre without it).
     window.getSelectedZoneTargets = function () {
       const out = [];
-      if (selectedZoneLayer && typeof selectedZoneLayer.getBounds === 'function') {
-        const center = selectedZoneLayer.getBounds().getCenter();
-        const props  = (selectedZoneLayer.feature && selectedZoneLayer.feature.properties) || {};
-        const zName  = zoneKeyFromProps(props || {});
-        out.push([center.lng, center.lat, `Zone ${zName}`]);
+      const ids = Array.from(selectedZoneIds).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const zId of ids) {
+        const found = zoneLookup.get(zId);
+        if (!found) continue;
+        const [lon, lat] = window.DestinationPoints
+          ? window.DestinationPoints.point('zone', zId, found.feature)
+          : [found.center.lng, found.center.lat];
+        out.push({
+          lon,
+          lat,
+          label  : `Zone ${zId}`,
+          key    : zId,
+          percent: zonePercents.has(zId) ? String(zonePercents.get(zId)) : ''
+        });
       }
       return out;
     };
 
+    // Every zone from zonesByKey as Map(pdKey -> [{ id, feature, center }]),
+    // for whole-region queries such as the travel time map
+    window.getZonesByPD = function () {
+      const out = new Map();
+      zonesByKey.forEach((feats, pdKey) => {
+        out.set(pdKey, feats.map(f => {
+          const id = zoneKeyFromProps(f.properties || {});
+          return { id, feature: f, center: zoneLookup.get(id)?.center || L.geoJSON(f).getBounds().getCenter() };
+        }));
+      });
+      return out;
+    };
+
+    // Roll zone counts (Map zoneId -> trips) up to PDs with the same key the PD layer uses
+    window.rollUpZoneCounts = function (counts) {
+      const byPd = new Map();
+      const unmatched = [];
+      counts.forEach((n, zId) => {
+        const found = zoneLookup.get(String(zId));
+        if (!found) { unmatched.push(String(zId)); return; }
+        const pdKey = pdKeyFromProps(found.feature.properties || {});
+        byPd.set(pdKey, (byPd.get(pdKey) || 0) + n);
+      });
+      return { byPd, unmatched };
+    };
+
+    // Zone id whose polygon contains latlng (null when outside every zone)
+    window.zoneIdAt = function (latlng) {
+      const pt = L.latLng(latlng);
+      for (const [zId, z] of zoneLookup) {
+        const g = z.feature.geometry || {};
+        const polys = g.type === 'MultiPolygon' ? g.coordinates : g.type === 'Polygon' ? [g.coordinates] : [];
+        const hit = polys.some(rings => rings.length &&
+          latLngInRing(pt, rings[0].map(([lng, lat]) => L.latLng(lat, lng))));
+        if (hit) return zId;
+      }
+      return null;
+    };
+
+    // PD key of a zone (null when the zone is unknown)
+    window.zonePdKey = function (zoneId) {
+      const z = zoneLookup.get(String(zoneId));
+      return z ? z.pdKey : null;
+    };
+
+    // Every zone % box as Map(zoneId -> raw text), selected or not
+    window.getZonePercents = function () {
+      return new Map(zonePercents);
+    };
+
+    // Replace every zone % (Map zoneId -> %), e.g. from an imported trip table
+    window._zonesSetPercents = function (values) {
+      zonePercents.clear();
+      values.forEach((pct, zId) => zonePercents.set(String(zId), String(pct)));
+      renderZoneSelection();
+    };
+
     // ---- Inline search (Enter to run) ----
     function parseZoneId(raw) {
       if (!raw) return null;
@@ -622,6 +966,7 @@ fetch(ZONES_URL)
       if (typeof window._zonesShowFor === 'function') {
         window._zonesShowFor(pdKey, String(zId));
       }
+      inpZone.value = '';
     }
 
     inpZone.addEventListener('keydown', (e) => {
@@ -632,6 +977,66 @@ fetch(ZONES_URL)
     btnDis.addEventListener('click', () => setMode(false));
     setMode(false);
 
+    btnSelPD.addEventListener('click', () => {
+      const feats = zonesByKey.get(String(zonesPdKey)) || [];
+      selectZones(feats.map(f => zoneKeyFromProps(f.properties || {})), { add: true });
+    });
+    btnBox.addEventListener('click', () => startPick('box'));
+    btnLasso.addEventListener('click', () => startPick('lasso'));
+    btnSelClr.addEventListener('click', clearZoneSelection);
+
+    selListEl.addEventListener('click', (e) => {
+      if (!e.target.closest('.pz-chip-remove')) return;
+      const chip = e.target.closest('.pz-chip');
+      toggleZone(decodeURIComponent(chip.dataset.zone || ''));
+    });
+
+    selListEl.addEventListener('input', (e) => {
+      const inp = e.target.closest('.pz-dist-pct');
+      if (!inp) return;
+      const zId = decodeURIComponent(inp.closest('.pz-chip').dataset.zone || '');
+      if (inp.value.trim() === '') zonePercents.delete(zId);
+      else zonePercents.set(zId, inp.value.trim());
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') stopPick();
+    });
+
+    // Session state: selected zones, every zone % typed or imported, and
+    // whether zones were engaged (with the PD whose zones were drawn)
+    window.AppState.register('zones', {
+      save: () => ({
+        selected: Array.from(selectedZoneIds),
+        percents: Object.fromEntries(zonePercents),
+        engaged: zonesEngaged,
+        pdKey: zonesPdKey
+      }),
+      load: (data) => {
+        if (!data) return;
+        if (data.engaged != null) setMode(!!data.engaged);
+        selectedZoneIds.clear();
+        zonePercents.clear();
+        // Sessions and links are untrusted: known zones and numeric % only
+        (data.selected || []).forEach(id => {
+          if (zoneLookup.has(String(id))) selectedZoneIds.add(String(id));
+        });
+        Object.entries(data.percents || {}).forEach(([id, pct]) => {
+          if (zoneLookup.has(String(id)) && pct !== '' && Number.isFinite(Number(pct))) zonePercents.set(String(id), String(pct));
+        });
+        renderZoneSelection();
+
+        // The PD list may still be loading; draw that PD's zones once it can be selected
+        if (data.engaged && data.pdKey != null) {
+          const showPd = () => {
+            if (typeof window._pdSelectByKey === 'function') window._pdSelectByKey(String(data.pdKey), { zoom: false });
+            else setTimeout(showPd, 80);
+          };
+          showPd();
+        }
+      }
+    });
+
     // Keep labels in sync with zoom
     map.on('zoomend', updateZoneLabels);
   })
@@ -0,0 +1,266 @@
+(function (global) {
+  'use strict';
+
+  // Named analysis sessions in IndexedDB (LocalDB store 'sessions').
+  // A session is { id, name, created, updated, state } where state is an
+  // AppState.snapshot(): origin, PD/zone selection, Trip Generator inputs and
+  // the generated trips. Sessions export/import as JSON files for sharing.
+
+  const STORE = 'sessions';
+  const FILE_FORMAT = 'my-map-sessions';
+  const FILE_VERSION = 1;
+
+  const S = {
+    sessions: [],   // sorted newest first
+    currentId: null
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function newId() {
+    return 's-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  function fmtDate(ms) {
+    const d = new Date(ms);
+    return isNaN(d) ? '' : d.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  function status(msg) {
+    const el = byId('rt-sess-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  function fail(action) {
+    return (err) => {
+      console.error(`Session ${action} failed:`, err);
+      status(`Could not ${action} session: ${err.message || err}`);
+    };
+  }
+
+  // ===== Store =====
+  function refresh() {
+    return global.LocalDB.all(STORE).then(list => {
+      S.sessions = (list || []).sort((a, b) => (b.updated || 0) - (a.updated || 0));
+      renderList();
+      return S.sessions;
+    });
+  }
+
+  function selectedSession() {
+    const id = byId('rt-sess-list')?.value;
+    return S.sessions.find(s => s.id === id) || null;
+  }
+
+  function save() {
+    const inp = byId('rt-sess-name');
+    const name = (inp?.value || '').trim();
+    if (!name) {
+      alert('Enter a session name.');
+      return;
+    }
+    const now = Date.now();
+    // Same name as an existing session overwrites it
+    const existing = S.sessions.find(s => s.name === name);
+    const rec = {
+      id: existing ? existing.id : newId(),
+      name,
+      created: existing ? existing.created : now,
+      updated: now,
+      state: global.AppState.snapshot()
+    };
+    global.LocalDB.put(STORE, rec)
+      .then(() => {
+        S.currentId = rec.id;
+        status(`Saved “${name}”.`);
+        return refresh();
+      })
+      .catch(fail('save'));
+  }
+
+  function load(rec) {
+    if (!rec) return;
+    global.AppState.restore(rec.state || {});
+    S.currentId = rec.id;
+    const inp = byId('rt-sess-name');
+    if (inp) inp.value = rec.name;
+    const trips = rec.state && rec.state.trips && rec.state.trips.cache;
+    const n = trips && Array.isArray(trips.trips) ? trips.trips.length : 0;
+    status(`Loaded “${rec.name}”${n ? ` (${n} trip${n === 1 ? '' : 's'} redrawn)` : ''}.`);
+  }
+
+  function rename(rec) {
+    if (!rec) return;
+    const name = (prompt('New session name:', rec.name) || '').trim();
+    if (!name || name === rec.name) return;
+    global.LocalDB.put(STORE, { ...rec, name, updated: Date.now() })
+      .then(() => { status(`Renamed to “${name}”.`); return refresh(); })
+      .catch(fail('rename'));
+  }
+
+  function duplicate(rec) {
+    if (!rec) return;
+    const now = Date.now();
+    const copy = { ...rec, id: newId(), name: `${rec.name} (copy)`, created: now, updated: now };
+    global.LocalDB.put(STORE, copy)
+      .then(() => { status(`Duplicated as “${copy.name}”.`); return refresh(); })
+      .catch(fail('duplicate'));
+  }
+
+  function remove(rec) {
+    if (!rec) return;
+    if (!confirm(`Delete session “${rec.name}”?`)) return;
+    global.LocalDB.delete(STORE, rec.id)
+      .then(() => {
+        if (S.currentId === rec.id) S.currentId = null;
+        status(`Deleted “${rec.name}”.`);
+        return refresh();
+      })
+      .catch(fail('delete'));
+  }
+
+  // ===== JSON files =====
+  function exportSessions(list) {
+    if (!list.length) {
+      alert('No sessions to export.');
+      return;
+    }
+    const body = JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, sessions: list }, null, 2);
+    const name = list.length === 1
+      ? `session-${list[0].name.replace(/[^\w.-]+/g, '_')}.json`
+      : 'sessions.json';
+    const url = URL.createObjectURL(new Blob([body], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Imported sessions keep their names but get new ids, so nothing local is overwritten
+  function importSessions(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new Error('Not a JSON file.');
+    }
+    if (!json || json.format !== FILE_FORMAT || !Array.isArray(json.sessions)) {
+      throw new Error('Not a sessions file exported from this map.');
+    }
+    if (json.version > FILE_VERSION) {
+      throw new Error(`Sessions file version ${json.version} is newer than this map supports.`);
+    }
+    const now = Date.now();
+    const recs = json.sessions
+      .filter(s => s && typeof s.name === 'string' && s.state && typeof s.state === 'object')
+      .map(s => {
+        const clash = S.sessions.some(x => x.name === s.name);
+        return {
+          id: newId(),
+          name: clash ? `${s.name} (imported)` : s.name,
+          created: s.created || now,
+          updated: now,
+          state: s.state
+        };
+      });
+    return recs.reduce((p, rec) => p.then(() => global.LocalDB.put(STORE, rec)), Promise.resolve())
+      .then(() => recs.length);
+  }
+
+  // ===== UI =====
+  function renderList() {
+    const sel = byId('rt-sess-list');
+    if (!sel) return;
+    const keep = sel.value || S.currentId;
+    sel.innerHTML = S.sessions.length
+      ? S.sessions.map(s =>
+        `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)} · ${escapeHtml(fmtDate(s.updated))}</option>`).join('')
+      : '<option value="" disabled>No saved sessions</option>';
+    if (keep && S.sessions.some(s => s.id === keep)) sel.value = keep;
+    const none = !S.sessions.length;
+    ['rt-sess-load', 'rt-sess-rename', 'rt-sess-dup', 'rt-sess-del', 'rt-sess-export'].forEach(id => {
+      const b = byId(id);
+      if (b) b.disabled = none;
+    });
+  }
+
+  function wire() {
+    const on = (id, fn) => { const el = byId(id); if (el) el.onclick = fn; };
+    on('rt-sess-save', save);
+    on('rt-sess-load', () => load(selectedSession()));
+    on('rt-sess-rename', () => rename(selectedSession()));
+    on('rt-sess-dup', () => duplicate(selectedSession()));
+    on('rt-sess-del', () => remove(selectedSession()));
+    on('rt-sess-export', () => { const rec = selectedSession(); if (rec) exportSessions([rec]); });
+    on('rt-sess-export-all', () => exportSessions(S.sessions));
+    on('rt-sess-import', () => byId('rt-sess-file')?.click());
+
+    const list = byId('rt-sess-list');
+    if (list) list.ondblclick = () => load(selectedSession());
+
+    const file = byId('rt-sess-file');
+    if (file) {
+      file.onchange = () => {
+        const f = file.files && file.files[0];
+        file.value = '';
+        if (!f) return;
+        f.text()
+          .then(importSessions)
+          .then(n => { status(`Imported ${n} session${n === 1 ? '' : 's'}.`); return refresh(); })
+          .catch(fail('import'));
+      };
+    }
+
+    refresh().catch(fail('list'));
+  }
+
+  function init() {
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    if (!global.LocalDB || !global.AppState) return;
+    global.Routing.addSection('Sessions', `
+      <label for="rt-sess-name" style="font-weight:600;">Session name</label>
+      <div class="routing-row" style="margin-top:4px;flex-wrap:nowrap;">
+        <input id="rt-sess-name" type="text" placeholder="e.g. Site A – AM peak">
+        <button id="rt-sess-save" type="button">Save</button>
+      </div>
+      <select id="rt-sess-list" size="5" style="margin-top:8px;"></select>
+      <div class="routing-row sess-actions">
+        <button id="rt-sess-load" type="button">Load</button>
+        <button id="rt-sess-rename" type="button" class="ghost">Rename</button>
+        <button id="rt-sess-dup" type="button" class="ghost">Duplicate</button>
+        <button id="rt-sess-del" type="button" class="ghost">Delete</button>
+      </div>
+      <div class="routing-row sess-actions">
+        <button id="rt-sess-export" type="button" class="ghost">Export</button>
+        <button id="rt-sess-export-all" type="button" class="ghost">Export all</button>
+        <button id="rt-sess-import" type="button" class="ghost">Import…</button>
+        <input id="rt-sess-file" type="file" accept=".json,application/json" hidden>
+      </div>
+      <small class="routing-hint" id="rt-sess-status">
+        Saves the origin, PD/zone selection, inputs and generated routes in this browser.
+      </small>
+    `, { id: 'rt-sess-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.Sessions = {
+    refresh,
+    load: (id) => global.LocalDB.get(STORE, id).then(load),
+    importText: importSessions
+  };
+
+  document.addEventListener('DOMContentLoaded', init);
+})(window);
@@ -0,0 +1,61 @@
+(function (global) {
+  'use strict';
+
+  // Registry of the pieces of UI state that make up an analysis session.
+  // Each module registers { save() -> plain JSON, load(data) } under an id;
+  // sessions and links call snapshot()/restore() without knowing the parts.
+  // Parts that register late (PD/zone lists wait for their GeoJSON) get any
+  // pending restore applied as soon as they register.
+
+  const parts = new Map();
+  const pending = new Map();
+
+  function register(id, part) {
+    if (!id || !part || typeof part.save !== 'function' || typeof part.load !== 'function') {
+      throw new Error('AppState parts need an id, save() and load()');
+    }
+    parts.set(id, part);
+    if (pending.has(id)) {
+      const data = pending.get(id);
+      pending.delete(id);
+      applyPart(id, part, data);
+    }
+  }
+
+  function applyPart(id, part, data) {
+    try {
+      part.load(data);
+    } catch (e) {
+      console.error(`Could not restore "${id}":`, e);
+    }
+  }
+
+  function snapshot() {
+    const out = {};
+    parts.forEach((part, id) => {
+      try {
+        const data = part.save();
+        if (data !== undefined) out[id] = data;
+      } catch (e) {
+        console.error(`Could not save "${id}":`, e);
+      }
+    });
+    return out;
+  }
+
+  function restore(snap) {
+    pending.clear();
+    Object.keys(snap || {}).forEach(id => {
+      const part = parts.get(id);
+      if (part) applyPart(id, part, snap[id]);
+      else pending.set(id, snap[id]);
+    });
+  }
+
+  global.AppState = {
+    register,
+    snapshot,
+    restore,
+    has: (id) => parts.has(id)
+  };
+})(window);
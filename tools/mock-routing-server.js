@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// Local stand-in for the routing APIs used by providers.js.
+//
+//   node tools/mock-routing-server.js [--port 8787] [--record]
+//
+// Then open http://localhost:8787/?routingBase=http://localhost:8787
+// (the app is served from the repo root on the same port).
+//
+// Requests are keyed on provider + profile + rounded coordinates + alternative
+// count and answered from tools/fixtures/<provider>/<key>.json. Unknown
+// requests fall back to tools/fixtures/<provider>/default.json. With --record,
+// misses are forwarded to the real API and the answer saved as a new fixture.
+// Matrix and isochrone requests are never recorded: they are answered from
+// straight-line distance (isochrones as circles) so any query works offline.
+'use strict';
+
+const http   = require('http');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const ROOT     = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const args   = process.argv.slice(2);
+const PORT   = Number(args[args.indexOf('--port') + 1]) || 8787;
+const RECORD = args.includes('--record');
+
+const UPSTREAM = {
+  ors: 'https://api.openrouteservice.org',
+  osrm: 'https://router.project-osrm.org',
+  valhalla: 'https://valhalla1.openstreetmap.de'
+};
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+// ===== Request identity =====
+const round = (c) => [Number(c[0]).toFixed(4), Number(c[1]).toFixed(4)].join(',');
+
+function describe(req, url, body) {
+  let m = url.pathname.match(/^\/v2\/directions\/([^/]+)\/geojson$/);
+  if (m && req.method === 'POST') {
+    const alt = body.alternative_routes ? body.alternative_routes.target_count : 1;
+    return { provider: 'ors', profile: m[1], coords: (body.coordinates || []).map(round), count: alt };
+  }
+  m = url.pathname.match(/^\/route\/v1\/([^/]+)\/(.+)$/);
+  if (m) {
+    const alt = url.searchParams.get('alternatives');
+    return {
+      provider: 'osrm',
+      profile: m[1],
+      coords: m[2].split(';').map(p => round(p.split(','))),
+      count: alt && alt !== 'false' ? Number(alt) || 2 : 1
+    };
+  }
+  if (url.pathname === '/route' && req.method === 'POST') {
+    return {
+      provider: 'valhalla',
+      profile: body.costing || 'auto',
+      coords: (body.locations || []).map(l => round([l.lon, l.lat])),
+      count: 1 + (Number(body.alternates) || 0)
+    };
+  }
+  return null;
+}
+
+// ===== Synthetic matrices and isochrones =====
+const DETOUR = 1.3;     // network distance ≈ straight line × this
+const SPEED_MS = 40 / 3.6;
+
+function crowMeters(a, b) {
+  const R = 6371008.8;
+  const toRad = (x) => x * Math.PI / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLon = toRad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function grid(sources, targets) {
+  const distances = sources.map(a => targets.map(b => Math.round(crowMeters(a, b) * DETOUR)));
+  const durations = distances.map(row => row.map(m => Math.round(m / SPEED_MS)));
+  return { distances, durations };
+}
+
+// Circle reachable in `seconds` at SPEED_MS along a DETOUR-longer network
+function circle(center, seconds) {
+  const r = seconds * SPEED_MS / DETOUR;
+  const dLat = r / 111320;
+  const dLon = r / (111320 * Math.cos(center[1] * Math.PI / 180));
+  const ring = [];
+  for (let i = 0; i <= 32; i++) {
+    const a = (i % 32) / 32 * 2 * Math.PI;
+    ring.push([center[0] + dLon * Math.cos(a), center[1] + dLat * Math.sin(a)]);
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+function isochroneAnswer(req, url, body) {
+  if (/^\/v2\/isochrones\/[^/]+$/.test(url.pathname) && req.method === 'POST') {
+    const center = (body.locations || [])[0] || [0, 0];
+    return {
+      type: 'FeatureCollection',
+      features: (body.range || []).map(s => ({
+        type: 'Feature',
+        properties: { group_index: 0, value: s, center },
+        geometry: circle(center, s)
+      }))
+    };
+  }
+  if (url.pathname === '/isochrone' && req.method === 'POST') {
+    const loc = (body.locations || [])[0] || { lon: 0, lat: 0 };
+    return {
+      type: 'FeatureCollection',
+      features: (body.contours || []).map(c => ({
+        type: 'Feature',
+        properties: { contour: c.time, metric: 'time' },
+        geometry: circle([loc.lon, loc.lat], c.time * 60)
+      }))
+    };
+  }
+  return null;
+}
+
+function matrixAnswer(req, url, body) {
+  if (/^\/v2\/matrix\/[^/]+$/.test(url.pathname) && req.method === 'POST') {
+    const loc = body.locations || [];
+    const pick = (idx) => (idx || loc.map((_, i) => i)).map(i => loc[i]);
+    return grid(pick(body.sources), pick(body.destinations));
+  }
+  const m = url.pathname.match(/^\/table\/v1\/[^/]+\/(.+)$/);
+  if (m) {
+    const loc = m[1].split(';').map(p => p.split(',').map(Number));
+    const pick = (param) => {
+      const raw = url.searchParams.get(param);
+      return raw ? raw.split(';').map(i => loc[Number(i)]) : loc;
+    };
+    return { code: 'Ok', ...grid(pick('sources'), pick('destinations')) };
+  }
+  if (url.pathname === '/sources_to_targets' && req.method === 'POST') {
+    const pts = (list) => (list || []).map(l => [l.lon, l.lat]);
+    const g = grid(pts(body.sources), pts(body.targets));
+    return {
+      sources_to_targets: g.distances.map((row, i) => row.map((m, j) => ({
+        from_index: i,
+        to_index: j,
+        distance: m / 1000,
+        time: g.durations[i][j]
+      })))
+    };
+  }
+  return null;
+}
+
+function fixtureKey(d) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([d.profile, d.coords, d.count]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function readFixture(provider, name) {
+  const file = path.join(FIXTURES, provider, name + '.json');
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ===== Responses =====
+function send(res, status, payload, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'X-Fixture',
+    ...headers
+  });
+  res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+}
+
+async function record(req, url, raw, d) {
+  const res = await fetch(UPSTREAM[d.provider] + url.pathname + url.search, {
+    method: req.method,
+    headers: {
+      ...(req.headers.authorization && { Authorization: req.headers.authorization }),
+      ...(req.method !== 'GET' && { 'Content-Type': 'application/json' })
+    },
+    body: req.method === 'GET' ? undefined : raw
+  });
+  const json = await res.json();
+  if (res.ok) {
+    const dir = path.join(FIXTURES, d.provider);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, fixtureKey(d) + '.json'),
+      JSON.stringify({ request: d, response: json })
+    );
+  }
+  return { status: res.status, json };
+}
+
+function serveStatic(url, res) {
+  const rel = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  const file = path.join(ROOT, rel);
+  if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    return send(res, 404, { error: 'Not found' });
+  }
+  res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, '', {
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    });
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', async () => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    let body = {};
+    try { body = raw ? JSON.parse(raw) : {}; } catch { return send(res, 400, { error: 'Invalid JSON body' }); }
+
+    const synthetic = matrixAnswer(req, url, body) || isochroneAnswer(req, url, body);
+    if (synthetic) {
+      console.log(`[synthetic] ${url.pathname}`);
+      return send(res, 200, synthetic, { 'X-Fixture': 'synthetic' });
+    }
+
+    const d = describe(req, url, body);
+    if (!d) return serveStatic(url, res);
+
+    const key = fixtureKey(d);
+    const hit = readFixture(d.provider, key);
+    if (hit) {
+      console.log(`[fixture] ${d.provider} ${key}`);
+      return send(res, 200, hit.response, { 'X-Fixture': key });
+    }
+
+    if (RECORD) {
+      try {
+        const out = await record(req, url, raw, d);
+        console.log(`[record] ${d.provider} ${key} -> ${out.status}`);
+        return send(res, out.status, out.json, { 'X-Fixture': 'recorded' });
+      } catch (err) {
+        console.error(`[record] ${d.provider} failed:`, err.message);
+        return send(res, 502, { error: { message: err.message } });
+      }
+    }
+
+    const fallback = readFixture(d.provider, 'default');
+    if (fallback) {
+      console.log(`[default] ${d.provider} (no fixture ${key})`);
+      return send(res, 200, fallback.response, { 'X-Fixture': 'default' });
+    }
+    send(res, 404, { error: { message: `No fixture ${d.provider}/${key}.json` } });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock routing server on http://localhost:${PORT}${RECORD ? ' (recording)' : ''}`);
+  console.log(`Open http://localhost:${PORT}/?routingBase=http://localhost:${PORT}`);
+});
@@ -0,0 +1,194 @@
+(function (global) {
+  'use strict';
+
+  // Via points for individual PD or zone routes, for local knowledge the
+  // router lacks (a gated subdivision, a ramp closed for construction).
+  // Points are clicked on the map in the order the route must pass them,
+  // from the site outwards; routing.js sends them with the request and keeps
+  // them on the trip, and the report flags those routes as constrained.
+
+  const S = {
+    map: null,
+    group: null,
+    vias: new Map()       // 'pd:key' | 'zone:id' -> [[lon, lat], ...]
+  };
+
+  // ===== Small helpers =====
+  const byId = (id) => document.getElementById(id);
+
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function status(msg) {
+    const el = byId('rt-via-status');
+    if (el) el.textContent = msg || '';
+  }
+
+  function nameOf(id) {
+    const [kind, ...rest] = id.split(':');
+    const key = rest.join(':');
+    if (kind === 'zone') return `Zone ${key}`;
+    const reg = (global.PD_REGISTRY || {})[key];
+    return (reg && reg.name) || key;
+  }
+
+  // ===== Targets: checked PDs and selected zones =====
+  function targets() {
+    const out = [];
+    document.querySelectorAll('.pd-cbx:checked').forEach(cbx => {
+      out.push(`pd:${decodeURIComponent(cbx.dataset.key || '')}`);
+    });
+    const zones = typeof global.getSelectedZoneTargets === 'function' ? global.getSelectedZoneTargets() : [];
+    zones.forEach(t => { if (t && t.key != null) out.push(`zone:${t.key}`); });
+    // Targets that already have via points stay listed
+    S.vias.forEach((_, id) => { if (!out.includes(id)) out.push(id); });
+    return out;
+  }
+
+  function fillTargets() {
+    const sel = byId('rt-via-target');
+    if (!sel) return;
+    const keep = sel.value;
+    const ids = targets();
+    sel.innerHTML = ids.map(id =>
+      `<option value="${escapeHtml(id)}">${escapeHtml(nameOf(id))}${S.vias.has(id) ? ` (${S.vias.get(id).length} via)` : ''}</option>`
+    ).join('');
+    if (ids.includes(keep)) sel.value = keep;
+    const btn = byId('rt-via-add');
+    if (btn) btn.disabled = !ids.length;
+  }
+
+  // ===== Map layer =====
+  function draw() {
+    if (S.group) S.group.clearLayers();
+    else S.group = L.layerGroup().addTo(S.map);
+    S.vias.forEach((pts, id) => {
+      pts.forEach((p, i) => {
+        const marker = L.marker([p[1], p[0]], {
+          draggable: true,
+          icon: L.divIcon({ className: 'via-pin', html: String(i + 1), iconSize: [18, 18] })
+        });
+        marker.bindTooltip(`${escapeHtml(nameOf(id))} – via ${i + 1}`, { direction: 'top' });
+        marker.on('dragend', () => {
+          const ll = marker.getLatLng();
+          pts[i] = [ll.lng, ll.lat];
+          draw();
+        });
+        marker.addTo(S.group);
+      });
+      if (pts.length > 1) {
+        L.polyline(pts.map(p => [p[1], p[0]]), { color: '#111', weight: 1.5, dashArray: '4 4', interactive: false })
+          .addTo(S.group);
+      }
+    });
+  }
+
+  function renderList() {
+    const box = byId('rt-via-list');
+    if (box) {
+      box.innerHTML = Array.from(S.vias.entries()).map(([id, pts]) => `
+        <div class="via-row" data-id="${escapeHtml(id)}">
+          <span>${escapeHtml(nameOf(id))}: ${pts.length} via point${pts.length === 1 ? '' : 's'}</span>
+          <span class="via-remove" title="Remove this route's via points">×</span>
+        </div>`).join('');
+    }
+    fillTargets();
+    draw();
+  }
+
+  // ===== Editing =====
+  function addVia() {
+    const id = byId('rt-via-target')?.value;
+    if (!id) return;
+    if (!global.SiteOrigin || typeof global.SiteOrigin.pick !== 'function') {
+      status('Picking on the map needs origin.js.');
+      return;
+    }
+    global.SiteOrigin.pick((ll) => {
+      if (!S.vias.has(id)) S.vias.set(id, []);
+      S.vias.get(id).push([ll.lng, ll.lat]);
+      renderList();
+      status(`${nameOf(id)}: via ${S.vias.get(id).length} added. Generate again to use it.`);
+    }, `Click the map where the ${nameOf(id)} route must pass (via ${(S.vias.get(id) || []).length + 1}).`, 'rt-via-status');
+  }
+
+  function clearAll() {
+    S.vias.clear();
+    renderList();
+    status('');
+  }
+
+  // ===== Trip Generator section =====
+  function wire() {
+    const btnAdd = byId('rt-via-add');
+    const btnClear = byId('rt-via-clear');
+    const sel = byId('rt-via-target');
+    const box = byId('rt-via-list');
+    if (btnAdd) btnAdd.onclick = addVia;
+    if (btnClear) btnClear.onclick = clearAll;
+    if (sel) sel.onfocus = fillTargets;
+    if (box) {
+      box.onclick = (e) => {
+        const row = e.target.closest('.via-remove') && e.target.closest('.via-row');
+        if (!row) return;
+        S.vias.delete(row.dataset.id);
+        renderList();
+      };
+    }
+    document.addEventListener('selection:changed', fillTargets);
+
+    if (global.AppState) {
+      global.AppState.register('vias', {
+        save: () => Object.fromEntries(S.vias),
+        load: (data) => {
+          S.vias = new Map(Object.entries(data || {})
+            .map(([id, pts]) => [id, (Array.isArray(pts) ? pts : [])
+              .filter(p => Array.isArray(p) && p.length >= 2)
+              .map(p => [Number(p[0]), Number(p[1])])
+              .filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]))])
+            .filter(([, pts]) => pts.length));
+          renderList();
+        }
+      });
+    }
+    renderList();
+  }
+
+  function init(map) {
+    S.map = map;
+    if (!global.Routing || typeof global.Routing.addSection !== 'function') return;
+    global.Routing.addSection('Via points', `
+      <label for="rt-via-target" style="font-weight:600;">Route to</label>
+      <select id="rt-via-target" style="margin-top:4px;"></select>
+      <div class="routing-row">
+        <button id="rt-via-add" type="button">Add via point</button>
+        <button id="rt-via-clear" type="button" class="ghost">Clear all</button>
+      </div>
+      <div id="rt-via-list"></div>
+      <small class="routing-hint" id="rt-via-status">
+        Click the map where the route must pass, in order from the site. Constrained routes get a single route and are flagged in the report.
+      </small>
+    `, { id: 'rt-via-section' });
+    global.Routing.whenReady(wire);
+  }
+
+  global.ViaPoints = {
+    // [[lon, lat], ...] for a PD ('pd') or zone ('zone'); [] when none
+    get: (kind, key) => (S.vias.get(`${kind}:${key}`) || []).map(p => p.slice()),
+    clear: clearAll
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const tryInit = () => {
+      if (global.map && global.map._loaded) init(global.map);
+      else setTimeout(tryInit, 80);
+    };
+    tryInit();
+  });
+})(window);